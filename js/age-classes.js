@@ -0,0 +1,214 @@
+/**
+ * Imagery age classes and colour scheme for osm-carbon-date
+ * The classes (count, breakpoints, colours) default to CONFIG.ageClasses; the scheme picks stepped
+ * class colours or a continuous ramp over a palette (CONFIG.agePalettes). Both can be edited by
+ * users in the settings panel; edits are kept in localStorage
+ */
+
+const AgeClasses = {
+    // localStorage keys of the user's classes and colour scheme
+    _storageKey: 'osm-carbon-date:ageClasses',
+    _schemeStorageKey: 'osm-carbon-date:ageColorScheme',
+    // Active classes and scheme, loaded on first use
+    _classes: null,
+    _scheme: null,
+
+    /**
+     * Get the active classes, youngest first
+     * @returns {Array} [{ maxYears, color }] - the last class has maxYears null (no upper limit)
+     */
+    get() {
+        if (!this._classes) {
+            this._classes = this._load() || this.getDefaults();
+        }
+        return this._classes;
+    },
+
+    /**
+     * Copy of the default classes from CONFIG.ageClasses
+     */
+    getDefaults() {
+        return CONFIG.ageClasses.map(c => ({ ...c }));
+    },
+
+    /**
+     * Validate, store and activate classes
+     * @throws {Error} When the classes are invalid (see validate)
+     */
+    save(classes) {
+        this.validate(classes);
+        this._classes = classes.map((c, i) => ({
+            maxYears: i === classes.length - 1 ? null : Number(c.maxYears),
+            color: c.color.toLowerCase()
+        }));
+        try {
+            localStorage.setItem(this._storageKey, JSON.stringify(this._classes));
+        } catch (e) {
+            console.warn('Could not save age classes:', e);
+        }
+    },
+
+    /**
+     * Drop the user's classes and colour scheme and go back to the defaults
+     */
+    reset() {
+        try {
+            localStorage.removeItem(this._storageKey);
+            localStorage.removeItem(this._schemeStorageKey);
+        } catch (e) {
+            console.warn('Could not clear age classes:', e);
+        }
+        this._classes = this.getDefaults();
+        this._scheme = { ...CONFIG.ageColorScheme };
+    },
+
+    /**
+     * Get the active colour scheme
+     * @returns {Object} { mode: 'classes'|'ramp', palette, maxYears } - the ramp runs from 0 to maxYears
+     */
+    getScheme() {
+        if (!this._scheme) {
+            this._scheme = this._load(this._schemeStorageKey, s => this.validateScheme(s)) || { ...CONFIG.ageColorScheme };
+        }
+        return this._scheme;
+    },
+
+    /**
+     * Validate, store and activate a colour scheme
+     * @throws {Error} When the scheme is invalid
+     */
+    saveScheme(scheme) {
+        this.validateScheme(scheme);
+        this._scheme = { mode: scheme.mode, palette: scheme.palette, maxYears: Number(scheme.maxYears) };
+        try {
+            localStorage.setItem(this._schemeStorageKey, JSON.stringify(this._scheme));
+        } catch (e) {
+            console.warn('Could not save colour scheme:', e);
+        }
+    },
+
+    /**
+     * Check a scheme: known mode and palette, positive ramp length
+     * @throws {Error} Describing the problem
+     */
+    validateScheme(scheme) {
+        if (!scheme || !['classes', 'ramp'].includes(scheme.mode)) {
+            throw new Error('Unknown colouring mode');
+        }
+        if (!CONFIG.agePalettes[scheme.palette]) {
+            throw new Error('Unknown palette');
+        }
+        if (!(Number(scheme.maxYears) > 0)) {
+            throw new Error('The ramp must end after 0 years');
+        }
+    },
+
+    /**
+     * Colour of an age on the ramp: the palette stretched from 0 (youngest) to maxYears (and older)
+     */
+    rampColor(ageYears) {
+        const { palette, maxYears } = this.getScheme();
+        return this._interpolate(CONFIG.agePalettes[palette].colors, ageYears / maxYears);
+    },
+
+    /**
+     * Ramp stops as [[years, color]], one per palette colour
+     */
+    rampStops() {
+        const { palette, maxYears } = this.getScheme();
+        const colors = CONFIG.agePalettes[palette].colors;
+        return colors.map((color, i) => [(maxYears * i) / (colors.length - 1), color]);
+    },
+
+    /**
+     * Sample n evenly spaced colours from a palette, youngest first (to colour n classes)
+     */
+    samplePalette(paletteId, n) {
+        const colors = CONFIG.agePalettes[paletteId].colors;
+        return Array.from({ length: n }, (_, i) => this._interpolate(colors, n === 1 ? 0 : i / (n - 1)));
+    },
+
+    /**
+     * Check classes: CONFIG.ageClassLimits.min-max classes, increasing positive breakpoints
+     * (the last class is open-ended) and #rrggbb colours
+     * @throws {Error} Describing the first problem found
+     */
+    validate(classes) {
+        const { min, max } = CONFIG.ageClassLimits;
+        if (!Array.isArray(classes) || classes.length < min || classes.length > max) {
+            throw new Error(`Use between ${min} and ${max} classes`);
+        }
+
+        let previous = 0;
+        classes.forEach((c, i) => {
+            if (!/^#[0-9a-f]{6}$/i.test(c.color || '')) {
+                throw new Error(`Class ${i + 1} needs a colour like #22c55e`);
+            }
+            if (i === classes.length - 1) return;
+
+            const years = Number(c.maxYears);
+            if (!(years > previous)) {
+                throw new Error(`Class ${i + 1} must end after ${previous} years`);
+            }
+            previous = years;
+        });
+    },
+
+    /**
+     * Index of the class an age falls in
+     */
+    indexFor(ageYears) {
+        const classes = this.get();
+        const index = classes.findIndex(c => c.maxYears !== null && ageYears < c.maxYears);
+        return index === -1 ? classes.length - 1 : index;
+    },
+
+    /**
+     * Display label of a class, e.g. "< 1 year", "1–2 years", "> 3 years"
+     */
+    label(index) {
+        const classes = this.get();
+        const years = (n) => n === 1 ? 'year' : 'years';
+        const upper = classes[index].maxYears;
+        const lower = index > 0 ? classes[index - 1].maxYears : null;
+
+        if (lower === null) return `< ${upper} ${years(upper)}`;
+        if (upper === null) return `> ${lower} ${years(lower)}`;
+        return `${lower}–${upper} years`;
+    },
+
+    // ---- Internal helpers ----
+
+    /**
+     * Read a stored value from localStorage, ignoring anything unreadable or invalid
+     * @param {string} key - Defaults to the classes key
+     * @param {Function} validate - Throws for invalid values; defaults to validate (classes)
+     * @returns {*|null}
+     */
+    _load(key = this._storageKey, validate = v => this.validate(v)) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(key));
+            if (!stored) return null;
+            validate(stored);
+            return stored;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Linear RGB interpolation along evenly spaced colours (t clamped to 0-1), as MapLibre's interpolate does
+     */
+    _interpolate(colors, t) {
+        const position = Math.min(1, Math.max(0, t)) * (colors.length - 1);
+        const i = Math.min(Math.floor(position), colors.length - 2);
+        const f = position - i;
+
+        const rgb = (hex) => [1, 3, 5].map(j => parseInt(hex.slice(j, j + 2), 16));
+        const from = rgb(colors[i]);
+        const to = rgb(colors[i + 1]);
+        return '#' + from
+            .map((c, j) => Math.round(c + (to[j] - c) * f).toString(16).padStart(2, '0'))
+            .join('');
+    }
+};
@@ -13,22 +13,77 @@
     let loadedImageryIds = new Set();
     let imageryFeatures = [];
     let imageryCentroids = []; // For deduplicated imagery labels
+    let imageryTileSource = null; // Which tile provider ('esri' / 'bing') imageryFeatures came from
     let recentProjects = [];
     let projectCentroids = []; // For deduplicated TM project labels
 
-    // OAM state
-    let oamEnabled = false;
-    let oamLoaded = false;
-    let oamFeatures = [];       // All enriched OAM features (loaded once)
-    let oamCentroids = [];      // All OAM centroid points
-    let selectedOamFeature = null;
+    // Whole-project scan state ({ cancelled } while a scan is running)
+    let projectScan = null;
+
+    // OAM upgrade opportunities for the loaded project (from OamSource.findUpgrades)
+    let upgradeResults = [];
+
+    // Cancels the metadata requests of the current viewport (source, bounds and zoom, see
+    // viewportKey) when the map moves on or another source is picked
+    let viewportController = null;
+    let viewportKey = null;
+    // Providers currently loading (the loading indicator shows while any are, see renderLoading)
+    let loadingCount = 0;
+
+    // Configured-imagery check for the loaded project (from ImageryRecommendation.checkConfigured)
+    // and the state it was computed from, so it only reruns when tiles or the OAM catalog change
+    let projectImageryCheck = null;
+    let projectImageryCheckKey = null;
+    let projectImageryCheckTimer = null;
+
+    // AOI age report shown in the stats panel and the state it was computed from (source, project,
+    // feature count, reference date and age classes); the AOI is sampled too densely to redo on every refresh
+    let aoiCoverage = null;
+    let aoiCoverageKey = null;
+
+    // Theme coverage shown in the stats panel and the state it was computed from (theme, source,
+    // area and feature count); grid sampling is too slow to rerun on every stats refresh
+    let themeCoverage = null;
+    let themeCoverageKey = null;
+
+    // Acquisition-date filter: selected range ({ start, end } YYYY-MM-DD, null = all) and the
+    // date extent of the loaded imagery the sliders span
+    let dateRange = null;
+    let dateExtent = null;
+
+    // OAM timeline animation: steps over the images in view, the step shown and the playback timer
+    let animationSteps = [];
+    let animationIndex = 0;
+    let animationTimer = null;
+
+    // Layers coloured by imagery age and their colour paint property (see ImagerySource.getAgeColorExpression)
+    // All but the task grid follow the "colour by" selector
+    const ageColorLayers = [
+        ['imagery-fill', 'fill-color'], ['imagery-outline', 'line-color'], ['imagery-labels', 'text-color'],
+        ['freshest-grid-fill', 'fill-color'], ['tm-tasks-fill', 'fill-color'],
+        ['oam-footprints-fill', 'fill-color'], ['oam-footprints-outline', 'line-color'], ['oam-labels', 'text-color'],
+        ['stac-footprints-fill', 'fill-color'], ['stac-footprints-outline', 'line-color'], ['stac-labels', 'text-color']
+    ];
+
+    // Layers outlining the imagery of the stats histogram bar under the pointer
+    const statsHighlightLayers = ['imagery-highlight', 'oam-highlight', 'stac-highlight'];
+
+    // Date label layers, which label imagery with its theme value when colouring by a theme
+    const dateLabelLayers = ['imagery-labels', 'oam-labels', 'stac-labels'];
+
+    // Age classes and colour scheme being edited in the settings panel (applied with AgeClasses.save/saveScheme)
+    let ageClassDraft = [];
+    let colorSchemeDraft = null;
 
     // DOM elements
     const tmProjectInput = document.getElementById('tm-project-input');
     const loadProjectBtn = document.getElementById('load-project-btn');
     const basemapSelect = document.getElementById('basemap-select');
     const imagerySourceSelect = document.getElementById('imagery-source-select');
+    const colorBySelect = document.getElementById('color-by-select');
     const showTmProjects = document.getElementById('show-tm-projects');
+    const showTmTasks = document.getElementById('show-tm-tasks');
+    const taskDateModeSelect = document.getElementById('task-date-mode-select');
     const zoomWarning = document.getElementById('zoom-warning');
     const infoPanel = document.getElementById('info-panel');
     const infoTitle = document.getElementById('info-title');
@@ -43,6 +98,96 @@
     const statsContent = document.getElementById('stats-content');
     const recentProjectsList = document.getElementById('recent-projects-list');
     const imageryLoading = document.getElementById('imagery-loading');
+    const imageryLoadingText = document.getElementById('imagery-loading-text');
+    const exportFormatSelect = document.getElementById('export-format-select');
+    const exportProjectOnly = document.getElementById('export-project-only');
+    const exportBtn = document.getElementById('export-btn');
+    const clearCacheBtn = document.getElementById('clear-cache-btn');
+    const cacheReadout = document.getElementById('cache-readout');
+    const waybackGroup = document.getElementById('wayback-group');
+    const waybackSelect = document.getElementById('wayback-select');
+    const waybackSlider = document.getElementById('wayback-slider');
+    const waybackReadout = document.getElementById('wayback-readout');
+    const eliHereBtn = document.getElementById('eli-here-btn');
+    const eliProjectBtn = document.getElementById('eli-project-btn');
+    const eliPanel = document.getElementById('eli-panel');
+    const eliTitle = document.getElementById('eli-title');
+    const eliContent = document.getElementById('eli-content');
+    const closeEliBtn = document.getElementById('close-eli');
+    const scanGroup = document.getElementById('scan-group');
+    const scanProjectBtn = document.getElementById('scan-project-btn');
+    const findUpgradesBtn = document.getElementById('find-upgrades-btn');
+    const upgradesPanel = document.getElementById('upgrades-panel');
+    const upgradesTitle = document.getElementById('upgrades-title');
+    const upgradesSortSelect = document.getElementById('upgrades-sort-select');
+    const upgradesContent = document.getElementById('upgrades-content');
+    const closeUpgradesBtn = document.getElementById('close-upgrades');
+    const recommendBtn = document.getElementById('recommend-btn');
+    const recommendPanel = document.getElementById('recommend-panel');
+    const recommendTitle = document.getElementById('recommend-title');
+    const recommendContent = document.getElementById('recommend-content');
+    const closeRecommendBtn = document.getElementById('close-recommend');
+    const scanProgress = document.getElementById('scan-progress');
+    const scanProgressFill = document.getElementById('scan-progress-fill');
+    const scanProgressText = document.getElementById('scan-progress-text');
+    const cancelScanBtn = document.getElementById('cancel-scan-btn');
+    const ageReferenceSelect = document.getElementById('age-reference-select');
+    const ageReferenceDate = document.getElementById('age-reference-date');
+    const legendTitle = document.getElementById('legend-title');
+    const legendReference = document.getElementById('legend-reference');
+    const legendItems = document.getElementById('legend-items');
+    const editAgeClassesBtn = document.getElementById('edit-age-classes-btn');
+    const settingsPanel = document.getElementById('settings-panel');
+    const closeSettingsBtn = document.getElementById('close-settings');
+    const colorModeSelect = document.getElementById('color-mode-select');
+    const paletteSelect = document.getElementById('palette-select');
+    const rampSettings = document.getElementById('ramp-settings');
+    const rampMaxYears = document.getElementById('ramp-max-years');
+    const ageClassRows = document.getElementById('age-class-rows');
+    const addAgeClassBtn = document.getElementById('add-age-class-btn');
+    const ageClassError = document.getElementById('age-class-error');
+    const saveAgeClassesBtn = document.getElementById('save-age-classes-btn');
+    const resetAgeClassesBtn = document.getElementById('reset-age-classes-btn');
+    const oamAnimationGroup = document.getElementById('oam-animation-group');
+    const oamAnimPlayBtn = document.getElementById('oam-anim-play-btn');
+    const oamAnimResetBtn = document.getElementById('oam-anim-reset-btn');
+    const oamAnimUnitSelect = document.getElementById('oam-anim-unit-select');
+    const oamAnimSpeedSelect = document.getElementById('oam-anim-speed-select');
+    const oamAnimSlider = document.getElementById('oam-anim-slider');
+    const oamAnimReadout = document.getElementById('oam-anim-readout');
+    const oamAnimExportBtn = document.getElementById('oam-anim-export-btn');
+    const dateHistogram = document.getElementById('date-histogram');
+    const dateRangeStart = document.getElementById('date-range-start');
+    const dateRangeEnd = document.getElementById('date-range-end');
+    const dateFilterStart = document.getElementById('date-filter-start');
+    const dateFilterEnd = document.getElementById('date-filter-end');
+    const dateFilterReset = document.getElementById('date-filter-reset');
+    const dateFilterReadout = document.getElementById('date-filter-readout');
+
+    /**
+     * Services the app offers to imagery providers (see js/imagery-providers.js)
+     */
+    const providerContext = {
+        get map() { return map; },
+        isActive: (id) => {
+            const provider = getActiveProvider();
+            return !!provider && (provider.id === id || provider.tileSource === id);
+        },
+        setLayersVisible: (layerIds, visible) => {
+            for (const id of layerIds) {
+                map.setLayoutProperty(id, 'visibility', visible ? 'visible' : 'none');
+            }
+        },
+        setLoading: (loading) => {
+            loadingCount = Math.max(0, loadingCount + (loading ? 1 : -1));
+            renderLoading();
+        },
+        setCatalogLoading: (loading) => oamLoading.classList.toggle('hidden', !loading),
+        getTileFeatures: () => imageryFeatures,
+        addTileFeatures: (features) => addImageryFeatures(features),
+        updateStats: () => updateStats(),
+        getViewportSignal: () => viewportController.signal
+    };
 
     /**
      * Calculate centroid from a GeoJSON geometry (polygon/multipolygon)
@@ -128,11 +273,17 @@
         map.on('load', () => {
             addMapSources();
             addMapLayers();
+            populateImagerySources();
+            populatePalettes();
+            populateColorThemes();
+            renderLegend();
             setupEventListeners();
+            RequestScheduler.onChange(renderLoading);
             checkUrlParams();
             loadRecentProjects();
             loadAllProjectCentroids(); // Load ALL centroids for deduplicated labels
-            onMapMove(); // Initial load of imagery metadata
+            loadWaybackReleases();
+            changeImagerySource(); // Show the default source and load its metadata
         });
 
         map.on('moveend', onMapMove);
@@ -197,6 +348,18 @@
             data: { type: 'FeatureCollection', features: [] }
         });
 
+        // "Freshest available" composite grid over the viewport (ESRI + OAM mode)
+        map.addSource('freshest-grid', {
+            type: 'geojson',
+            data: { type: 'FeatureCollection', features: [] }
+        });
+
+        // TM task grid of the loaded project, coloured by imagery age
+        map.addSource('tm-tasks', {
+            type: 'geojson',
+            data: { type: 'FeatureCollection', features: [] }
+        });
+
         // PMTiles source for all TM project geometries (efficient rendering)
         map.addSource('tm-projects-pmtiles', {
             type: 'vector',
@@ -226,6 +389,18 @@
             type: 'geojson',
             data: { type: 'FeatureCollection', features: [] }
         });
+
+        // STAC item footprints in the viewport
+        map.addSource('stac-footprints', {
+            type: 'geojson',
+            data: { type: 'FeatureCollection', features: [] }
+        });
+
+        // STAC centroid points for labels
+        map.addSource('stac-centroids', {
+            type: 'geojson',
+            data: { type: 'FeatureCollection', features: [] }
+        });
     }
 
     /**
@@ -286,7 +461,7 @@
             type: 'fill',
             source: 'imagery-metadata',
             paint: {
-                'fill-color': ['get', 'ageColor'],
+                'fill-color': ImagerySource.getAgeColorExpression(),
                 'fill-opacity': 0.35
             }
         });
@@ -297,12 +472,24 @@
             type: 'line',
             source: 'imagery-metadata',
             paint: {
-                'line-color': ['get', 'ageColor'],
+                'line-color': ImagerySource.getAgeColorExpression(),
                 'line-width': 2.5,
                 'line-opacity': 1
             }
         });
 
+        // Tiles of the stats histogram bar under the pointer (see highlightStatsBin)
+        map.addLayer({
+            id: 'imagery-highlight',
+            type: 'line',
+            source: 'imagery-metadata',
+            paint: {
+                'line-color': '#111827',
+                'line-width': 4
+            },
+            filter: ['==', ['get', 'formattedDate'], '']
+        });
+
         // Imagery date labels using centroids (one label per tile, avoids multipolygon duplication)
         map.addLayer({
             id: 'imagery-labels',
@@ -318,12 +505,69 @@
                 'text-padding': 5
             },
             paint: {
-                'text-color': ['get', 'ageColor'],
+                'text-color': ImagerySource.getAgeColorExpression(),
                 'text-halo-color': '#000000',
                 'text-halo-width': 2
             }
         });
 
+        // Freshest-available composite cells (coloured by the newest imagery from any source)
+        map.addLayer({
+            id: 'freshest-grid-fill',
+            type: 'fill',
+            source: 'freshest-grid',
+            paint: {
+                'fill-color': ImagerySource.getAgeColorExpression(),
+                'fill-opacity': 0.35,
+                'fill-outline-color': 'rgba(0, 0, 0, 0.2)'
+            },
+            layout: { 'visibility': 'none' }
+        });
+
+        // Which source provides the freshest imagery in each cell
+        map.addLayer({
+            id: 'freshest-grid-labels',
+            type: 'symbol',
+            source: 'freshest-grid',
+            layout: {
+                'text-field': ['get', 'cellSourceLabel'],
+                'text-font': ['Open Sans Bold'],
+                'text-size': 10,
+                'text-allow-overlap': false,
+                'visibility': 'none'
+            },
+            paint: {
+                'text-color': '#ffffff',
+                'text-halo-color': '#000000',
+                'text-halo-width': 1.5
+            }
+        });
+
+        // TM task grid fill (coloured by the age of the imagery under each task)
+        map.addLayer({
+            id: 'tm-tasks-fill',
+            type: 'fill',
+            source: 'tm-tasks',
+            paint: {
+                'fill-color': ImagerySource.getAgeColorExpression(),
+                'fill-opacity': 0.45
+            },
+            layout: { 'visibility': 'none' }
+        });
+
+        // TM task grid outline
+        map.addLayer({
+            id: 'tm-tasks-outline',
+            type: 'line',
+            source: 'tm-tasks',
+            paint: {
+                'line-color': '#ffffff',
+                'line-width': 1,
+                'line-opacity': 0.8
+            },
+            layout: { 'visibility': 'none' }
+        });
+
         // TM project fill
         map.addLayer({
             id: 'tm-project-fill',
@@ -393,7 +637,7 @@
             type: 'fill',
             source: 'oam-footprints',
             paint: {
-                'fill-color': ['get', 'ageColor'],
+                'fill-color': ImagerySource.getAgeColorExpression(),
                 'fill-opacity': 0.08
             },
             layout: { 'visibility': 'none' }
@@ -405,7 +649,7 @@
             type: 'line',
             source: 'oam-footprints',
             paint: {
-                'line-color': ['get', 'ageColor'],
+                'line-color': ImagerySource.getAgeColorExpression(),
                 'line-width': 2,
                 'line-opacity': 0.8
             },
@@ -426,6 +670,81 @@
             layout: { 'visibility': 'none' }
         });
 
+        // OAM footprints of the stats histogram bar under the pointer
+        map.addLayer({
+            id: 'oam-highlight',
+            type: 'line',
+            source: 'oam-footprints',
+            paint: {
+                'line-color': '#111827',
+                'line-width': 4
+            },
+            filter: ['==', ['get', 'formattedDate'], ''],
+            layout: { 'visibility': 'none' }
+        });
+
+        // --- STAC layers (all start hidden) ---
+
+        // STAC footprints fill (age-colored, light since scenes overlap heavily)
+        map.addLayer({
+            id: 'stac-footprints-fill',
+            type: 'fill',
+            source: 'stac-footprints',
+            paint: {
+                'fill-color': ImagerySource.getAgeColorExpression(),
+                'fill-opacity': 0.08
+            },
+            layout: { 'visibility': 'none' }
+        });
+
+        // STAC footprints outline (age-colored)
+        map.addLayer({
+            id: 'stac-footprints-outline',
+            type: 'line',
+            source: 'stac-footprints',
+            paint: {
+                'line-color': ImagerySource.getAgeColorExpression(),
+                'line-width': 1.5,
+                'line-opacity': 0.8
+            },
+            layout: { 'visibility': 'none' }
+        });
+
+        // STAC footprints of the stats histogram bar under the pointer
+        map.addLayer({
+            id: 'stac-highlight',
+            type: 'line',
+            source: 'stac-footprints',
+            paint: {
+                'line-color': '#111827',
+                'line-width': 3
+            },
+            filter: ['==', ['get', 'formattedDate'], ''],
+            layout: { 'visibility': 'none' }
+        });
+
+        // STAC date labels from centroids
+        map.addLayer({
+            id: 'stac-labels',
+            type: 'symbol',
+            source: 'stac-centroids',
+            layout: {
+                'text-field': ['get', 'formattedDate'],
+                'text-font': ['Open Sans Bold'],
+                'text-size': 12,
+                'text-anchor': 'center',
+                'text-allow-overlap': false,
+                'text-ignore-placement': false,
+                'text-padding': 5,
+                'visibility': 'none'
+            },
+            paint: {
+                'text-color': ImagerySource.getAgeColorExpression(),
+                'text-halo-color': '#000000',
+                'text-halo-width': 2
+            }
+        });
+
         // OAM date labels from centroids
         map.addLayer({
             id: 'oam-labels',
@@ -442,7 +761,7 @@
                 'visibility': 'none'
             },
             paint: {
-                'text-color': ['get', 'ageColor'],
+                'text-color': ImagerySource.getAgeColorExpression(),
                 'text-halo-color': '#000000',
                 'text-halo-width': 2
             }
@@ -462,10 +781,162 @@
         // Basemap selector
         basemapSelect.addEventListener('change', changeBasemap);
 
-        // Imagery source selector (mutually exclusive ESRI / OAM)
+        // Imagery source selector (one provider at a time)
         imagerySourceSelect.addEventListener('change', changeImagerySource);
         showTmProjects.addEventListener('change', toggleTmLayer);
 
+        // Colour imagery by age or a theme
+        colorBySelect.addEventListener('change', () => {
+            updateLayerColors();
+            renderLegend();
+            updateStats();
+        });
+
+        // Reference date imagery age is measured against
+        ageReferenceSelect.addEventListener('change', () => {
+            ageReferenceDate.classList.toggle('hidden', ageReferenceSelect.value !== 'custom');
+            applyAgeReference();
+        });
+        ageReferenceDate.addEventListener('change', applyAgeReference);
+
+        // OAM timeline animation
+        oamAnimPlayBtn.addEventListener('click', toggleAnimation);
+        oamAnimResetBtn.addEventListener('click', () => resetAnimation());
+        oamAnimUnitSelect.addEventListener('change', () => resetAnimation());
+        oamAnimSpeedSelect.addEventListener('change', () => {
+            if (animationTimer) playAnimation();
+        });
+        oamAnimSlider.addEventListener('input', () => {
+            pauseAnimation();
+            showAnimationStep(Number(oamAnimSlider.value));
+        });
+        oamAnimExportBtn.addEventListener('click', exportAnimationFrames);
+
+        // Acquisition-date range filter
+        dateRangeStart.addEventListener('input', () => onDateSliderInput(dateRangeStart));
+        dateRangeEnd.addEventListener('input', () => onDateSliderInput(dateRangeEnd));
+        dateFilterStart.addEventListener('change', onDateInputChange);
+        dateFilterEnd.addEventListener('change', onDateInputChange);
+        dateFilterReset.addEventListener('click', () => setDateRange(null));
+        dateHistogram.addEventListener('click', (e) => {
+            const bar = e.target.closest('[data-start]');
+            if (bar) setDateRange({ start: bar.dataset.start, end: bar.dataset.end });
+        });
+
+        // Stats histogram: hovering a bar highlights its imagery
+        statsContent.addEventListener('mouseover', (e) => {
+            const bar = e.target.closest('.stats-bar');
+            highlightStatsBin(bar ? { start: bar.dataset.start, end: bar.dataset.end } : null);
+        });
+        statsContent.addEventListener('mouseleave', () => highlightStatsBin(null));
+
+        // Age class settings
+        editAgeClassesBtn.addEventListener('click', showAgeClassSettings);
+        closeSettingsBtn.addEventListener('click', () => {
+            settingsPanel.classList.add('hidden');
+        });
+        colorModeSelect.addEventListener('change', () => {
+            colorSchemeDraft.mode = colorModeSelect.value;
+            renderAgeClassRows();
+        });
+        paletteSelect.addEventListener('change', () => {
+            colorSchemeDraft.palette = paletteSelect.value;
+            // Recolour the classes from the palette; single colours can still be edited after
+            const colors = AgeClasses.samplePalette(paletteSelect.value, ageClassDraft.length);
+            ageClassDraft.forEach((c, i) => { c.color = colors[i]; });
+            renderAgeClassRows();
+        });
+        rampMaxYears.addEventListener('input', () => {
+            colorSchemeDraft.maxYears = rampMaxYears.value;
+        });
+        ageClassRows.addEventListener('input', (e) => {
+            const row = e.target.closest('[data-index]');
+            if (row && e.target.dataset.field) {
+                ageClassDraft[Number(row.dataset.index)][e.target.dataset.field] = e.target.value;
+            }
+        });
+        ageClassRows.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-index]');
+            if (row && e.target.closest('.age-class-remove')) {
+                ageClassDraft.splice(Number(row.dataset.index), 1);
+                renderAgeClassRows();
+            }
+        });
+        addAgeClassBtn.addEventListener('click', addAgeClass);
+        saveAgeClassesBtn.addEventListener('click', saveAgeClasses);
+        resetAgeClassesBtn.addEventListener('click', () => {
+            AgeClasses.reset();
+            ageClassDraft = AgeClasses.get().map(c => ({ ...c }));
+            colorSchemeDraft = { ...AgeClasses.getScheme() };
+            renderAgeClassRows();
+            refreshImageryAges();
+        });
+
+        // Per-task imagery age overlay
+        showTmTasks.addEventListener('change', toggleTaskLayer);
+        taskDateModeSelect.addEventListener('change', updateTaskImagery);
+
+        // Copy buttons in popups and panels (changeset tags)
+        document.addEventListener('click', onCopyClick);
+
+        // Esri Wayback release picker and time slider
+        waybackSelect.addEventListener('change', () => {
+            setWaybackRelease(waybackSelect.value ? Number(waybackSelect.value) : null);
+        });
+        waybackSlider.addEventListener('input', updateWaybackReadout);
+        waybackSlider.addEventListener('change', () => {
+            const release = WaybackSource._releases[Number(waybackSlider.value)];
+            setWaybackRelease(release ? release.releaseNum : null);
+        });
+
+        // Editor Layer Index: imagery layers mappers can use here
+        eliHereBtn.addEventListener('click', () => {
+            const center = map.getCenter();
+            showEliLayers({ point: [center.lng, center.lat] });
+        });
+        eliProjectBtn.addEventListener('click', () => {
+            if (currentProject) showEliLayers({ project: currentProject });
+        });
+        map.on('contextmenu', (e) => {
+            showEliLayers({ point: [e.lngLat.lng, e.lngLat.lat] });
+        });
+        closeEliBtn.addEventListener('click', () => {
+            eliPanel.classList.add('hidden');
+        });
+        eliContent.addEventListener('click', (e) => {
+            const item = e.target.closest('.eli-item.usable');
+            if (item && !e.target.closest('a')) selectEliLayer(item.dataset.eliId);
+        });
+
+        // Export fetched imagery metadata
+        exportBtn.addEventListener('click', exportImagery);
+        clearCacheBtn.addEventListener('click', clearPersistentCache);
+
+        // Whole-project ESRI scan
+        scanProjectBtn.addEventListener('click', scanWholeProject);
+        cancelScanBtn.addEventListener('click', () => {
+            if (!projectScan) return;
+            projectScan.cancelled = true;
+            projectScan.controller.abort();
+        });
+
+        // OAM upgrade opportunities for the loaded project
+        findUpgradesBtn.addEventListener('click', showUpgradeOpportunities);
+        upgradesSortSelect.addEventListener('change', renderUpgradeOpportunities);
+        upgradesContent.addEventListener('click', (e) => {
+            const item = e.target.closest('.upgrade-item');
+            if (item) openUpgrade(upgradeResults[Number(item.dataset.index)]);
+        });
+        closeUpgradesBtn.addEventListener('click', () => {
+            upgradesPanel.classList.add('hidden');
+        });
+
+        // Best-imagery recommendation for the loaded project
+        recommendBtn.addEventListener('click', showRecommendation);
+        closeRecommendBtn.addEventListener('click', () => {
+            recommendPanel.classList.add('hidden');
+        });
+
         // Close info panel
         closeInfoBtn.addEventListener('click', () => {
             infoPanel.classList.add('hidden');
@@ -477,23 +948,17 @@
             OamSource.deselectFeature(map);
         });
 
-        // Click on imagery for popup
-        map.on('click', 'imagery-fill', onImageryClick);
-        map.on('mouseenter', 'imagery-fill', () => {
-            map.getCanvas().style.cursor = 'pointer';
-        });
-        map.on('mouseleave', 'imagery-fill', () => {
-            map.getCanvas().style.cursor = '';
-        });
-
-        // Click on OAM footprints (enriched GeoJSON at z10+)
-        map.on('click', 'oam-footprints-fill', onOamFootprintClick);
-        map.on('mouseenter', 'oam-footprints-fill', () => {
-            map.getCanvas().style.cursor = 'pointer';
-        });
-        map.on('mouseleave', 'oam-footprints-fill', () => {
-            map.getCanvas().style.cursor = '';
-        });
+        // Click on imagery features (one handler per provider click layer; ESRI and Bing share one)
+        const clickLayers = new Set(ImageryProviders.getEnabled().map(p => p.clickLayer));
+        for (const layerId of clickLayers) {
+            map.on('click', layerId, onImageryFeatureClick);
+            map.on('mouseenter', layerId, () => {
+                map.getCanvas().style.cursor = 'pointer';
+            });
+            map.on('mouseleave', layerId, () => {
+                map.getCanvas().style.cursor = '';
+            });
+        }
 
         // Handle failed image sources (404 thumbnails)
         map.on('error', (e) => {
@@ -503,6 +968,15 @@
             }
         });
 
+        // Click on TM task
+        map.on('click', 'tm-tasks-fill', onTaskClick);
+        map.on('mouseenter', 'tm-tasks-fill', () => {
+            map.getCanvas().style.cursor = 'pointer';
+        });
+        map.on('mouseleave', 'tm-tasks-fill', () => {
+            map.getCanvas().style.cursor = '';
+        });
+
         // Click on TM project
         map.on('click', 'tm-project-fill', onTmProjectClick);
         map.on('mouseenter', 'tm-project-fill', () => {
@@ -619,7 +1093,7 @@
         recentProjectsList.innerHTML = recentProjects.map(project => `
             <div class="recent-project-item" data-project-id="${project.projectId}">
                 <div class="project-id">#${project.projectId}</div>
-                <div class="project-name">${project.name || 'Untitled'}</div>
+                <div class="project-name">${TextUtils.escapeHtml(project.name || 'Untitled')}</div>
                 <div class="project-status status-${(project.status || '').toLowerCase()}">${project.status || 'Unknown'}</div>
             </div>
         `).join('');
@@ -679,8 +1153,12 @@
         loadProjectBtn.disabled = true;
         loadProjectBtn.innerHTML = '<span class="loading"></span>';
 
-        // Close OAM panel if open
+        // Close OAM, editor imagery, upgrades, recommendation and settings panels if open
         oamInfoPanel.classList.add('hidden');
+        eliPanel.classList.add('hidden');
+        upgradesPanel.classList.add('hidden');
+        recommendPanel.classList.add('hidden');
+        settingsPanel.classList.add('hidden');
 
         // Show loading state in info panel immediately
         infoTitle.textContent = `TM Project #${projectId}`;
@@ -689,6 +1167,13 @@
 
         try {
             currentProject = await TmApi.fetchProject(projectId);
+            projectImageryCheck = null;
+            projectImageryCheckKey = null;
+
+            // Project dates become available as age references; ages are re-measured for this project
+            ageReferenceSelect.querySelector('option[value="created"]').disabled = !currentProject.created;
+            ageReferenceSelect.querySelector('option[value="lastUpdated"]').disabled = !currentProject.lastUpdated;
+            applyAgeReference();
 
             // Update map source with project geometry
             const geojson = TmApi.projectToGeoJSON(currentProject);
@@ -706,7 +1191,7 @@
             }
 
             // Update info panel with full details
-            infoContent.innerHTML = TmApi.formatProjectInfo(currentProject);
+            infoContent.innerHTML = TmApi.formatProjectInfo(currentProject, projectImageryCheck);
 
             // Update URL
             const url = new URL(window.location);
@@ -716,6 +1201,14 @@
             // Update layer visibility based on zoom
             updateProjectLayerVisibility();
 
+            // Refresh the AOI coverage report and task grid for the new project
+            updateStats();
+            updateTaskImagery();
+
+            // Project loaded: allow scanning its whole AOI and listing its imagery layers
+            scanGroup.classList.remove('hidden');
+            eliProjectBtn.disabled = false;
+
         } catch (error) {
             infoContent.innerHTML = `<div class="error-text">Error: ${error.message}</div>`;
         } finally {
@@ -758,493 +1251,1215 @@
         updateZoomWarning();
         updateUrlHash();
 
+        // Requests still running for a previous viewport are no longer needed
+        const key = `${imagerySourceSelect.value}|${getViewBounds().join(',')}|${map.getZoom()}`;
+        if (key !== viewportKey) {
+            if (viewportController) viewportController.abort();
+            viewportController = new AbortController();
+            viewportKey = key;
+        }
+
         const zoom = map.getZoom();
         const minDisplay = CONFIG.map.minZoomForImageryDisplay;
-        const minFetch = CONFIG.map.minZoomForImageryFetch;
 
-        // Below ESRI display threshold: clear ESRI imagery
-        if (zoom < minDisplay) {
-            imageryLoading.classList.add('hidden');
+        // Below display threshold: clear tile imagery (kept while a project scan is running)
+        if (zoom < minDisplay && !projectScan) {
             if (imageryFeatures.length > 0) {
-                imageryFeatures = [];
-                imageryCentroids = [];
-                loadedImageryIds.clear();
-                ImagerySource.clearCache();
-                map.getSource('imagery-metadata').setData({
-                    type: 'FeatureCollection',
-                    features: []
-                });
-                map.getSource('imagery-centroids').setData({
-                    type: 'FeatureCollection',
-                    features: []
-                });
-                statsPanel.classList.add('hidden');
-            }
-        }
-
-        const bounds = map.getBounds();
-        const boundsArray = [
-            bounds.getWest(),
-            bounds.getSouth(),
-            bounds.getEast(),
-            bounds.getNorth()
-        ];
-
-        // ESRI imagery metadata (only when above display threshold)
-        if (imagerySourceSelect.value === 'esri' && zoom >= minDisplay) {
-            // Between display and fetch (z8-11): only display cached data, don't fetch
-            if (zoom < minFetch) {
-                imageryLoading.classList.add('hidden');
-            } else {
-                // At or above fetch threshold (z12+): fetch new imagery
-                imageryLoading.classList.remove('hidden');
-
-                try {
-                    const data = await ImagerySource.fetchEsriMetadata(boundsArray, zoom);
-
-                    if (data.error) {
-                        console.warn('Error loading imagery metadata:', data.message);
-                    } else if (data.features) {
-                        // Add new features that we haven't loaded yet
-                        const newFeatures = data.features.filter(f => {
-                            const id = f.properties.OBJECTID;
-                            if (loadedImageryIds.has(id)) return false;
-                            loadedImageryIds.add(id);
-                            return true;
-                        });
-
-                        if (newFeatures.length > 0) {
-                            imageryFeatures = [...imageryFeatures, ...newFeatures];
-                            map.getSource('imagery-metadata').setData({
-                                type: 'FeatureCollection',
-                                features: imageryFeatures
-                            });
-
-                            // Calculate centroids for new features (one label per tile)
-                            const newCentroids = newFeatures
-                                .map(f => {
-                                    const centroid = getCentroidFromGeometry(f.geometry);
-                                    if (!centroid) return null;
-                                    return {
-                                        type: 'Feature',
-                                        geometry: {
-                                            type: 'Point',
-                                            coordinates: centroid
-                                        },
-                                        properties: { ...f.properties }
-                                    };
-                                })
-                                .filter(f => f !== null);
-
-                            imageryCentroids = [...imageryCentroids, ...newCentroids];
-                            map.getSource('imagery-centroids').setData({
-                                type: 'FeatureCollection',
-                                features: imageryCentroids
-                            });
-
-                            updateStats();
-                        }
-                    }
-                } finally {
-                    imageryLoading.classList.add('hidden');
-                }
+                clearImageryFeatures();
             }
         }
 
-        // OAM imagery
-        if (oamEnabled) {
-            updateOamDisplay(boundsArray, zoom);
+        // Imagery metadata for the selected provider
+        const provider = getActiveProvider();
+        if (provider) {
+            await provider.fetchForBounds(getViewBounds(), zoom, providerContext);
         }
+        updateCacheReadout();
     }
 
     /**
-     * Update zoom warning visibility
-     * Three states: below display (<8), display-only (8-11), fetch enabled (12+)
+     * Show the loading indicator while a provider is loading or requests are pending,
+     * with the number of requests in flight and queued
      */
-    function updateZoomWarning() {
-        const zoom = map.getZoom();
-        const source = imagerySourceSelect.value;
-        let message = '';
-
-        if (source === 'esri') {
-            const minDisplay = CONFIG.map.minZoomForImageryDisplay;
-            const minFetch = CONFIG.map.minZoomForImageryFetch;
+    function renderLoading() {
+        const { active, queued } = RequestScheduler.getPending();
+        imageryLoadingText.textContent = active + queued > 0
+            ? `Loading imagery metadata... (${active} in flight${queued > 0 ? `, ${queued} queued` : ''})`
+            : 'Loading imagery metadata...';
+        imageryLoading.classList.toggle('hidden', loadingCount === 0 && active + queued === 0);
+    }
 
-            if (zoom >= minFetch) {
-                // At fetch level - no warning needed
-            } else if (zoom >= minDisplay && imageryFeatures.length > 0) {
-                message = `Viewing cached ESRI data. Zoom to ${minFetch}+ to fetch new.`;
-            } else {
-                message = `Zoom to ${minFetch}+ to fetch ESRI metadata`;
-            }
-        } else if (source === 'oam') {
-            const oamMinDisplay = CONFIG.oam.minZoomForDisplay;
-            if (zoom < oamMinDisplay) {
-                message = `Zoom to ${oamMinDisplay}+ to see OAM imagery`;
-            }
-        }
+    /**
+     * Show what the persistent cache holds
+     */
+    async function updateCacheReadout() {
+        const counts = await PersistentCache.count();
+        const parts = [];
+        if (counts.esriTiles) parts.push(`${counts.esriTiles} ESRI tiles`);
+        if (counts.oamCatalog) parts.push('OAM catalog');
+        if (counts.projects) parts.push(`${counts.projects} project${counts.projects === 1 ? '' : 's'}`);
+        cacheReadout.textContent = parts.length > 0 ? `Cached: ${parts.join(', ')}` : 'Nothing cached';
+    }
 
-        if (message) {
-            zoomWarning.classList.remove('hidden');
-            zoomWarning.textContent = message;
-        } else {
-            zoomWarning.classList.add('hidden');
+    /**
+     * Empty the persistent cache and the in-memory project cache; loaded imagery stays on the map
+     */
+    async function clearPersistentCache() {
+        clearCacheBtn.disabled = true;
+        try {
+            await PersistentCache.clear();
+            TmApi.clearCache();
+        } finally {
+            clearCacheBtn.disabled = false;
         }
-
-        // Also update project layer visibility
-        updateProjectLayerVisibility();
+        await updateCacheReadout();
     }
 
     /**
-     * Update imagery statistics panel
-     * Shows stats for ESRI, OAM, or both depending on active layers
+     * Remove all loaded ESRI imagery features and reset the fetch caches
      */
-    function updateStats() {
-        const source = imagerySourceSelect.value;
-        let html = '';
+    function clearImageryFeatures() {
+        imageryFeatures = [];
+        imageryCentroids = [];
+        loadedImageryIds.clear();
+        ImagerySource.clearCache();
+        WaybackSource.clearCache();
+        BingSource.clearCache();
+        map.getSource('imagery-metadata').setData({
+            type: 'FeatureCollection',
+            features: []
+        });
+        map.getSource('imagery-centroids').setData({
+            type: 'FeatureCollection',
+            features: []
+        });
+        statsPanel.classList.add('hidden');
+        updateTaskImagery();
+    }
 
-        if (source === 'esri' && imageryFeatures.length > 0) {
-            const stats = ImagerySource.calculateStats(imageryFeatures);
-            if (stats) {
-                const avgClass = ImagerySource.getAgeClass(new Date(Date.now() - stats.avgAgeYears * 365.25 * 24 * 60 * 60 * 1000));
-                html = `
-                    <div class="stat-row">
-                        <span class="stat-label">Tiles loaded</span>
-                        <span class="stat-value">${stats.count}</span>
-                    </div>
-                    <div class="stat-row">
-                        <span class="stat-label">Newest</span>
-                        <span class="stat-value">${stats.newestFormatted}</span>
-                    </div>
-                    <div class="stat-row">
-                        <span class="stat-label">Oldest</span>
-                        <span class="stat-value">${stats.oldestFormatted}</span>
-                    </div>
-                    <div class="stat-row">
-                        <span class="stat-label">Average age</span>
-                        <span class="stat-value ${avgClass}">${stats.avgAgeFormatted}</span>
-                    </div>
-                `;
-            }
-        } else if (source === 'oam' && oamLoaded) {
-            const bounds = map.getBounds();
-            const boundsArray = [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()];
-            const visibleOam = OamSource.getFeaturesInBounds(boundsArray);
-
-            if (visibleOam.length > 0) {
-                const oamStats = OamSource.calculateStats(visibleOam);
-                if (oamStats) {
-                    const avgClass = ImagerySource.getAgeClass(new Date(Date.now() - oamStats.avgAgeYears * 365.25 * 24 * 60 * 60 * 1000));
-                    html = `
-                        <div class="stat-row">
-                            <span class="stat-label">Images in view</span>
-                            <span class="stat-value">${oamStats.count}</span>
-                        </div>
-                        <div class="stat-row">
-                            <span class="stat-label">Newest</span>
-                            <span class="stat-value">${oamStats.newestFormatted}</span>
-                        </div>
-                        <div class="stat-row">
-                            <span class="stat-label">Oldest</span>
-                            <span class="stat-value">${oamStats.oldestFormatted}</span>
-                        </div>
-                        <div class="stat-row">
-                            <span class="stat-label">Average age</span>
-                            <span class="stat-value ${avgClass}">${oamStats.avgAgeFormatted}</span>
-                        </div>
-                    `;
-                }
-            }
+    /**
+     * Load the Esri Wayback release catalogue into the release picker and slider
+     */
+    async function loadWaybackReleases() {
+        try {
+            const releases = await WaybackSource.loadReleases();
+
+            waybackSelect.innerHTML = '<option value="">Current (live)</option>' +
+                releases.slice().reverse()
+                    .map(r => `<option value="${r.releaseNum}">${r.date}</option>`)
+                    .join('');
+
+            // Slider runs oldest -> newest; the last stop is the live service
+            waybackSlider.max = releases.length;
+            waybackSlider.value = releases.length;
+            waybackSlider.disabled = false;
+            updateWaybackReadout();
+        } catch (error) {
+            console.error('Error loading Wayback releases:', error);
+            waybackGroup.classList.add('hidden');
         }
+    }
 
-        if (html) {
-            statsContent.innerHTML = html;
-            statsPanel.classList.remove('hidden');
+    /**
+     * Show the release under the slider handle
+     */
+    function updateWaybackReadout() {
+        const release = WaybackSource._releases[Number(waybackSlider.value)];
+        waybackReadout.textContent = release ? `Release ${release.date}` : 'Current (live)';
+    }
+
+    /**
+     * Switch basemap tiles and ESRI metadata to a Wayback release (null = live)
+     */
+    async function setWaybackRelease(releaseNum) {
+        const release = WaybackSource.setActiveRelease(releaseNum);
+
+        // Keep picker and slider in sync
+        const releases = WaybackSource._releases;
+        waybackSelect.value = release ? String(release.releaseNum) : '';
+        waybackSlider.value = release ? releases.indexOf(release) : releases.length;
+        updateWaybackReadout();
+
+        // Basemap shows the release's imagery
+        basemapSelect.value = 'esri-imagery';
+        changeBasemap();
+
+        // Metadata layer is refetched from the release's metadata service
+        clearImageryFeatures();
+        if (!showsEsriTiles()) {
+            // Switching source fetches the current viewport itself
+            imagerySourceSelect.value = 'esri';
+            await changeImagerySource();
         } else {
-            statsPanel.classList.add('hidden');
+            onMapMove();
         }
     }
 
     /**
-     * Change basemap
+     * Merge newly fetched imagery features into the imagery-metadata source
+     * Skips tiles already loaded, adds one label centroid per tile and refreshes stats
+     * @param {Array} features
+     * @param {Object} options
+     * @param {boolean} options.skipStats - Leave the stats panel for the caller to refresh
+     * @returns {number} Number of features actually added
      */
-    function changeBasemap() {
-        const basemapId = basemapSelect.value;
-        const basemap = CONFIG.basemaps[basemapId];
+    function addImageryFeatures(features, options = {}) {
+        // Add new features that we haven't loaded yet, and swap in more detailed geometry
+        // for ESRI tiles loaded generalised at a lower zoom
+        const isMoreDetailed = (f) => {
+            const offset = f.properties._maxAllowableOffset;
+            if (offset === undefined) return false;
+            const loaded = imageryFeatures.find(l => l.properties.OBJECTID === f.properties.OBJECTID);
+            return loaded?.properties._maxAllowableOffset > offset;
+        };
+        const newFeatures = features.filter(f => {
+            const id = f.properties.OBJECTID;
+            if (loadedImageryIds.has(id)) return isMoreDetailed(f);
+            loadedImageryIds.add(id);
+            return true;
+        });
 
-        if (!basemap) return;
+        if (newFeatures.length === 0) return 0;
 
-        map.getSource('basemap').tiles = basemap.tiles;
-        map.style.sourceCaches['basemap'].clearTiles();
-        map.style.sourceCaches['basemap'].update(map.transform);
-        map.triggerRepaint();
+        const replacedIds = new Set(newFeatures.map(f => f.properties.OBJECTID));
+        imageryFeatures = [...imageryFeatures.filter(f => !replacedIds.has(f.properties.OBJECTID)), ...newFeatures];
+        map.getSource('imagery-metadata').setData({
+            type: 'FeatureCollection',
+            features: imageryFeatures
+        });
 
-        updateTmProjectColors();
+        // Calculate centroids for new features (one label per tile)
+        const newCentroids = newFeatures
+            .map(f => {
+                const centroid = getCentroidFromGeometry(f.geometry);
+                if (!centroid) return null;
+                return {
+                    type: 'Feature',
+                    geometry: {
+                        type: 'Point',
+                        coordinates: centroid
+                    },
+                    properties: { ...f.properties }
+                };
+            })
+            .filter(f => f !== null);
+
+        imageryCentroids = [...imageryCentroids.filter(f => !replacedIds.has(f.properties.OBJECTID)), ...newCentroids];
+        map.getSource('imagery-centroids').setData({
+            type: 'FeatureCollection',
+            features: imageryCentroids
+        });
+
+        if (!options.skipStats) {
+            updateStats();
+            updateTaskImagery();
+        }
+        return newFeatures.length;
     }
 
     /**
-     * Update TM project layer colors based on basemap brightness
-     * Light basemaps (OSM, ESRI Topo) → dark outlines/labels
-     * Dark basemaps (ESRI Imagery, Carto Dark) → white outlines/labels
+     * Scan the whole loaded project for ESRI metadata, independent of the viewport
+     * Tiles the project bbox into z12-sized cells and fetches each cell that touches the AOI
      */
-    function updateTmProjectColors() {
-        const basemapId = basemapSelect.value;
-        const isDark = (basemapId === 'esri-imagery' || basemapId === 'carto-dark');
+    async function scanWholeProject() {
+        const esri = ImageryProviders.get('esri');
+        if (!currentProject || !esri || projectScan) return;
 
-        const primary = isDark ? '#ffffff' : '#333333';
-        const contrast = isDark ? '#333333' : '#ffffff';
-        const haloColor = isDark ? '#000000' : '#ffffff';
+        const bounds = TmApi.getProjectBounds(currentProject);
+        if (!bounds) return;
 
-        // PMTiles layers
-        map.setPaintProperty('pmtiles-projects-fill', 'fill-color', primary);
-        map.setPaintProperty('pmtiles-projects-outline', 'line-color', primary);
+        const cells = GeoUtils.tilesInBbox(bounds, CONFIG.projectScan.cellZoom)
+            .filter(cell => GeoUtils.bboxIntersectsGeometry(cell, currentProject.geometry));
 
-        // Project labels
-        map.setPaintProperty('project-labels', 'text-color', primary);
-        map.setPaintProperty('project-labels', 'text-halo-color', haloColor);
+        if (cells.length > CONFIG.projectScan.confirmAbove &&
+            !confirm(`This project needs ${cells.length} metadata requests to scan. Continue?`)) {
+            return;
+        }
 
-        // Selected TM project
-        map.setPaintProperty('tm-project-fill', 'fill-color', primary);
-        map.setPaintProperty('tm-project-outline', 'line-color', primary);
-        map.setPaintProperty('tm-project-outline-dash', 'line-color', contrast);
+        // Scan results go into the ESRI layers, so make sure they are showing
+        if (!showsEsriTiles()) {
+            imagerySourceSelect.value = 'esri';
+            await changeImagerySource();
+        }
+
+        projectScan = { cancelled: false, controller: new AbortController() };
+        scanProjectBtn.disabled = true;
+        cancelScanBtn.disabled = false;
+        scanProgress.classList.remove('hidden');
+
+        let added = 0;
+        let skipped = 0;
+
+        try {
+            for (let i = 0; i < cells.length; i++) {
+                if (projectScan.cancelled) break;
+
+                scanProgressFill.style.width = `${(i / cells.length) * 100}%`;
+                scanProgressText.textContent = `Cell ${i + 1} of ${cells.length}`;
+
+                let data;
+                try {
+                    data = await esri.fetchMetadata(cells[i], CONFIG.projectScan.cellZoom, projectScan.controller.signal);
+                } catch (error) {
+                    if (RequestScheduler.isAbortError(error)) break;
+                    throw error;
+                }
+                if (data.error || data.warning) {
+                    skipped++;
+                } else if (data.features) {
+                    // Stats (incl. the AOI report) are refreshed every few cells, not per cell
+                    added += addImageryFeatures(data.features, { skipStats: true });
+                }
+                if (i % 10 === 9) {
+                    updateStats();
+                    updateTaskImagery();
+                }
+            }
+
+            const status = projectScan.cancelled ? 'Cancelled' : 'Done';
+            if (!projectScan.cancelled) scanProgressFill.style.width = '100%';
+            scanProgressText.textContent = `${status}: ${added} new tiles` +
+                (skipped > 0 ? `, ${skipped} cells skipped` : '');
+        } finally {
+            projectScan = null;
+            scanProjectBtn.disabled = false;
+            cancelScanBtn.disabled = true;
+            updateStats();
+            updateTaskImagery();
+        }
     }
 
     /**
-     * Change imagery metadata source (ESRI / OAM / None)
-     * Mutually exclusive — disables one before enabling the other
+     * Update zoom warning visibility
+     * The selected provider reports missing configuration or the zoom needed to fetch
      */
-    async function changeImagerySource() {
-        const source = imagerySourceSelect.value;
+    function updateZoomWarning() {
+        const zoom = map.getZoom();
+        const provider = getActiveProvider();
+        let message = '';
 
-        // --- Disable ESRI layers ---
-        if (source !== 'esri') {
-            map.setLayoutProperty('imagery-fill', 'visibility', 'none');
-            map.setLayoutProperty('imagery-outline', 'visibility', 'none');
-            map.setLayoutProperty('imagery-labels', 'visibility', 'none');
+        if (provider) {
+            message = provider.getConfigError?.() ||
+                provider.getZoomMessage?.(zoom, providerContext) || '';
         }
 
-        // --- Disable OAM layers ---
-        if (source !== 'oam') {
-            oamEnabled = false;
-            showOamLayers(false);
-            OamSource.cleanup(map);
-            oamInfoPanel.classList.add('hidden');
-            map.getSource('oam-footprints').setData({ type: 'FeatureCollection', features: [] });
-            map.getSource('oam-centroids').setData({ type: 'FeatureCollection', features: [] });
+        if (message) {
+            zoomWarning.classList.remove('hidden');
+            zoomWarning.textContent = message;
+        } else {
+            zoomWarning.classList.add('hidden');
         }
 
-        // --- Enable selected source ---
-        if (source === 'esri') {
-            map.setLayoutProperty('imagery-fill', 'visibility', 'visible');
-            map.setLayoutProperty('imagery-outline', 'visibility', 'visible');
-            map.setLayoutProperty('imagery-labels', 'visibility', 'visible');
-        } else if (source === 'oam') {
-            oamEnabled = true;
+        // Also update project layer visibility
+        updateProjectLayerVisibility();
+    }
+
+    /**
+     * Update imagery statistics panel for the selected provider
+     * Tile providers add the AOI age report of the loaded project
+     */
+    function updateStats() {
+        const provider = getActiveProvider();
+        let html = '';
+
+        const features = provider ? provider.getFeatures(getViewBounds(), providerContext) : [];
+        let stats = null;
+        if (provider && features.length > 0) {
+            stats = provider.calculateStats
+                ? provider.calculateStats(features)
+                : ImagerySource.calculateStats(features);
+        }
 
-            // Lazy-load OAM data on first selection
-            if (!oamLoaded) {
-                oamLoading.classList.remove('hidden');
-                try {
-                    const result = await OamSource.loadAllImages();
-                    oamFeatures = result.features;
-                    oamCentroids = result.centroids;
-                    oamLoaded = true;
-                    console.log(`OAM loaded: ${oamFeatures.length} features`);
-                } catch (e) {
-                    console.error('Failed to load OAM data:', e);
-                    oamLoading.classList.add('hidden');
-                    imagerySourceSelect.value = 'none';
-                    oamEnabled = false;
-                    return;
-                } finally {
-                    oamLoading.classList.add('hidden');
+        if (stats) {
+            const reference = ImagerySource.getReferenceDate();
+            const avgColor = ImagerySource.getAgeColor(new Date(reference - stats.avgAgeYears * 365.25 * 24 * 60 * 60 * 1000));
+            html = `
+                <div class="stat-row">
+                    <span class="stat-label">${provider.itemLabel}</span>
+                    <span class="stat-value">${stats.count}</span>
+                </div>
+                <div class="stat-row">
+                    <span class="stat-label">Newest</span>
+                    <span class="stat-value">${stats.newestFormatted}</span>
+                </div>
+                <div class="stat-row">
+                    <span class="stat-label">Oldest</span>
+                    <span class="stat-value">${stats.oldestFormatted}</span>
+                </div>
+                <div class="stat-row">
+                    <span class="stat-label">Average age</span>
+                    <span class="stat-value" style="color: ${avgColor};">${stats.avgAgeFormatted}</span>
+                </div>
+                <div class="stat-row">
+                    <span class="stat-label">Median / 90th percentile age</span>
+                    <span class="stat-value">${stats.medianAgeFormatted} / ${stats.p90AgeFormatted}</span>
+                </div>
+                <div class="stat-row">
+                    <span class="stat-label">Older than ${stats.olderThanYears} years</span>
+                    <span class="stat-value">${Math.round(stats.olderShare * 100)}%</span>
+                </div>
+                ${formatStatsHistogram(stats.histogram)}
+            `;
+            if (ImagerySource._referenceDate) {
+                html += `
+                    <div class="stat-row">
+                        <span class="stat-label">Age measured at</span>
+                        <span class="stat-value">${ImagerySource.formatDate(reference)}</span>
+                    </div>
+                `;
+            }
+            if (stats.afterCreationCount > 0) {
+                html += `
+                    <div class="stat-row" title="Imagery captured after the project was created; the AOI may need re-mapping">
+                        <span class="stat-label">After project creation</span>
+                        <span class="stat-value after">${stats.afterCreationCount}</span>
+                    </div>
+                `;
+            }
+            html += provider.formatStats?.(providerContext) || '';
+            const projectFeatures = currentProject
+                ? provider.getFeatures(TmApi.getProjectBounds(currentProject), providerContext)
+                : null;
+            if (colorBySelect.value !== 'age') {
+                html += formatThemeStats(colorBySelect.value, features, projectFeatures);
+            }
+            if (currentProject) {
+                if (provider.tileLayer) {
+                    html += formatAoiCoverage(projectFeatures);
                 }
+                html += formatProjectChangesetSuffix(projectFeatures);
             }
+        }
 
-            showOamLayers(true);
+        checkProjectImagery();
+        updateDateFilter();
 
-            // Update display for current viewport
-            const bounds = map.getBounds();
-            const boundsArray = [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()];
-            updateOamDisplay(boundsArray, map.getZoom());
+        if (html) {
+            statsContent.innerHTML = html;
+            statsPanel.classList.remove('hidden');
+        } else {
+            statsPanel.classList.add('hidden');
         }
+    }
 
-        updateZoomWarning();
+    /**
+     * Format the stats date histogram; bars are coloured by the age of their midpoint
+     * Hovering a bar highlights its imagery on the map (see highlightStatsBin)
+     */
+    function formatStatsHistogram(histogram) {
+        if (!histogram) return '';
+
+        const maxCount = Math.max(...histogram.bins.map(b => b.count), 1);
+        const bars = histogram.bins.map(b => {
+            const start = new Date(`${b.start}T00:00:00`);
+            const end = new Date(`${b.end}T00:00:00`);
+            const color = ImagerySource.getAgeColor(new Date((start.getTime() + end.getTime()) / 2));
+            return `
+                <span class="stats-bar" data-start="${b.start}" data-end="${b.end}" title="${b.label}: ${b.count}">
+                    <span style="height: ${(b.count / maxCount) * 100}%; background: ${color};"></span>
+                </span>
+            `;
+        }).join('');
+
+        const first = histogram.bins[0].label;
+        const last = histogram.bins[histogram.bins.length - 1].label;
+        return `
+            <div class="stats-histogram">${bars}</div>
+            <div class="stats-histogram-axis"><span>${first}</span><span>By ${histogram.unit}</span><span>${last}</span></div>
+        `;
+    }
+
+    /**
+     * Outline the imagery captured within a histogram bin, within the date filter range (null clears)
+     */
+    function highlightStatsBin(bin) {
+        let filter = ['==', ['get', 'formattedDate'], ''];
+        if (bin) {
+            const dateFilter = DateFilter.toLayerFilter(dateRange);
+            filter = DateFilter.toLayerFilter(bin);
+            if (dateFilter) filter = ['all', filter, dateFilter];
+        }
+        for (const layerId of statsHighlightLayers) {
+            map.setFilter(layerId, filter);
+        }
+    }
+
+    /**
+     * Get the date imagery age should be measured at for the selected reference mode
+     * Project modes fall back to today until a project is loaded
+     * @returns {Date|null} null for today
+     */
+    function getAgeReferenceDate() {
+        const mode = ageReferenceSelect.value;
+        if (mode === 'custom') {
+            return ageReferenceDate.value ? new Date(`${ageReferenceDate.value}T00:00:00`) : null;
+        }
+        if ((mode === 'created' || mode === 'lastUpdated') && currentProject?.[mode]) {
+            return new Date(currentProject[mode]);
+        }
+        return null;
+    }
+
+    /**
+     * Re-measure all loaded imagery against the selected reference date
+     */
+    function applyAgeReference() {
+        const created = currentProject?.created ? new Date(currentProject.created) : null;
+        ImagerySource.setAgeReference(getAgeReferenceDate(), created);
+        refreshImageryAges();
+    }
+
+    /**
+     * Recompute the age attributes of all loaded imagery (after the reference date or age classes changed)
+     * Recolours tiles, footprints and labels, then refreshes the legend, stats and task grid
+     */
+    function refreshImageryAges() {
+        ImagerySource.refreshAges(imageryFeatures);
+        ImagerySource.refreshAges(imageryCentroids);
+        map.getSource('imagery-metadata').setData({ type: 'FeatureCollection', features: imageryFeatures });
+        map.getSource('imagery-centroids').setData({ type: 'FeatureCollection', features: imageryCentroids });
+
+        for (const provider of ImageryProviders.getEnabled()) {
+            provider.refreshAges?.();
+        }
+
+        updateLayerColors();
+
+        // Providers redraw their cached features for the viewport
+        projectImageryCheckKey = null;
+        renderLegend();
+        onMapMove();
         updateStats();
+        updateTaskImagery();
     }
 
     /**
-     * Show/hide all OAM map layers
+     * Colour the imagery layers by age or the selected theme, labelling them with dates or theme values
+     * The task grid always shows age
      */
-    function showOamLayers(visible) {
-        const v = visible ? 'visible' : 'none';
-        map.setLayoutProperty('oam-footprints-fill', 'visibility', v);
-        map.setLayoutProperty('oam-footprints-outline', 'visibility', v);
-        map.setLayoutProperty('oam-selected-outline', 'visibility', v);
-        map.setLayoutProperty('oam-labels', 'visibility', v);
+    function updateLayerColors() {
+        const theme = colorBySelect.value === 'age' ? null : colorBySelect.value;
+        const ageExpression = ImagerySource.getAgeColorExpression();
+        const colorExpression = theme ? ImageryThemes.getColorExpression(theme) : ageExpression;
+
+        for (const [layerId, property] of ageColorLayers) {
+            map.setPaintProperty(layerId, property, layerId === 'tm-tasks-fill' ? ageExpression : colorExpression);
+        }
+
+        const labelExpression = theme ? ImageryThemes.getLabelExpression(theme) : ['get', 'formattedDate'];
+        for (const layerId of dateLabelLayers) {
+            map.setLayoutProperty(layerId, 'text-field', labelExpression);
+        }
+    }
+
+    /**
+     * Fill the "colour by" picker from CONFIG.themes
+     */
+    function populateColorThemes() {
+        for (const [id, theme] of Object.entries(CONFIG.themes)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = theme.name;
+            colorBySelect.appendChild(option);
+        }
     }
 
     /**
-     * Update OAM display for current viewport
-     * Filters all OAM features to viewport, updates sources, manages thumbnails/TMS
+     * Fill the palette picker from CONFIG.agePalettes
      */
-    function updateOamDisplay(boundsArray, zoom) {
-        const oamMinDisplay = CONFIG.oam.minZoomForDisplay;
+    function populatePalettes() {
+        for (const [id, palette] of Object.entries(CONFIG.agePalettes)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = palette.name;
+            paletteSelect.appendChild(option);
+        }
+    }
 
-        if (zoom < oamMinDisplay) {
-            // Below OAM display threshold — hide all enriched layers
-            map.setLayoutProperty('oam-footprints-fill', 'visibility', 'none');
-            map.setLayoutProperty('oam-footprints-outline', 'visibility', 'none');
-            map.setLayoutProperty('oam-selected-outline', 'visibility', 'none');
-            map.setLayoutProperty('oam-labels', 'visibility', 'none');
+    /**
+     * Open the age class editor with a copy of the active classes
+     */
+    function showAgeClassSettings() {
+        infoPanel.classList.add('hidden');
+        oamInfoPanel.classList.add('hidden');
+        eliPanel.classList.add('hidden');
+        upgradesPanel.classList.add('hidden');
+        recommendPanel.classList.add('hidden');
+
+        ageClassDraft = AgeClasses.get().map(c => ({ ...c }));
+        colorSchemeDraft = { ...AgeClasses.getScheme() };
+        renderAgeClassRows();
+        settingsPanel.classList.remove('hidden');
+    }
 
-            // Clear enriched data and thumbnails
-            map.getSource('oam-footprints').setData({ type: 'FeatureCollection', features: [] });
-            map.getSource('oam-centroids').setData({ type: 'FeatureCollection', features: [] });
-            OamSource.clearAllThumbnails(map);
+    /**
+     * Render the scheme controls and one editor row per draft class: colour and upper bound
+     * (the last class is open-ended). Class colours are unused on the ramp, so they are hidden
+     */
+    function renderAgeClassRows() {
+        const { min, max } = CONFIG.ageClassLimits;
+        const last = ageClassDraft.length - 1;
+        const ramp = colorSchemeDraft.mode === 'ramp';
+
+        colorModeSelect.value = colorSchemeDraft.mode;
+        paletteSelect.value = colorSchemeDraft.palette;
+        rampMaxYears.value = colorSchemeDraft.maxYears;
+        rampSettings.classList.toggle('hidden', !ramp);
+        ageClassRows.classList.toggle('ramp', ramp);
+
+        ageClassRows.innerHTML = ageClassDraft.map((c, i) => `
+            <div class="age-class-row" data-index="${i}">
+                <input type="color" data-field="color" value="${c.color}">
+                ${i === last
+                    ? `<span class="age-class-bound">older</span>`
+                    : `<span class="age-class-bound">up to <input type="number" data-field="maxYears" min="0" step="0.25" value="${c.maxYears}"> years</span>`}
+                <button class="btn-small age-class-remove" title="Remove class"${ageClassDraft.length <= min ? ' disabled' : ''}>&times;</button>
+            </div>
+        `).join('');
+
+        addAgeClassBtn.disabled = ageClassDraft.length >= max;
+        ageClassError.textContent = '';
+    }
+
+    /**
+     * Add a class before the open-ended one, a year after the previous breakpoint
+     */
+    function addAgeClass() {
+        const last = ageClassDraft.length - 1;
+        const previous = last > 0 ? Number(ageClassDraft[last - 1].maxYears) || 0 : 0;
+        ageClassDraft.splice(last, 0, { maxYears: previous + 1, color: ageClassDraft[last].color });
+        renderAgeClassRows();
+    }
+
+    /**
+     * Validate and apply the edited classes, keeping them for later visits
+     */
+    function saveAgeClasses() {
+        try {
+            AgeClasses.validateScheme(colorSchemeDraft);
+            AgeClasses.save(ageClassDraft);
+            AgeClasses.saveScheme(colorSchemeDraft);
+        } catch (error) {
+            ageClassError.textContent = error.message;
             return;
         }
+        ageClassError.textContent = '';
+        refreshImageryAges();
+    }
 
-        // At z8+: show enriched footprints
-        map.setLayoutProperty('oam-footprints-fill', 'visibility', 'visible');
-        map.setLayoutProperty('oam-footprints-outline', 'visibility', 'visible');
-        map.setLayoutProperty('oam-selected-outline', 'visibility', 'visible');
-        map.setLayoutProperty('oam-labels', 'visibility', 'visible');
+    /**
+     * Render the legend from the age classes, noting the reference date when it isn't today
+     * When colouring by a theme the legend shows the theme's classes instead
+     */
+    function renderLegend() {
+        const theme = colorBySelect.value === 'age' ? null : colorBySelect.value;
+        editAgeClassesBtn.classList.toggle('hidden', Boolean(theme));
+        if (theme) {
+            legendTitle.textContent = `Imagery ${ImageryThemes.get(theme).name}`;
+            legendItems.innerHTML = ImageryThemes.getClassDefinitions(theme)
+                .map(c => `
+                    <div class="legend-item">
+                        <span class="legend-color" style="background: ${c.color};"></span>
+                        <span>${c.label}</span>
+                    </div>
+                `)
+                .join('');
+            legendReference.classList.add('hidden');
+            return;
+        }
 
-        // Filter features to viewport
-        const visibleFeatures = OamSource.getFeaturesInBounds(boundsArray);
-        const visibleCentroids = OamSource.getCentroidsInBounds(boundsArray);
+        legendTitle.textContent = 'Imagery Age';
+        const ramp = AgeClasses.getScheme().mode === 'ramp';
 
-        // Update GeoJSON sources
-        map.getSource('oam-footprints').setData({
-            type: 'FeatureCollection',
-            features: visibleFeatures
-        });
-        map.getSource('oam-centroids').setData({
-            type: 'FeatureCollection',
-            features: visibleCentroids
-        });
+        // The ramp is drawn as a gradient bar; the 'after' class still gets a swatch
+        legendItems.innerHTML = (ramp ? formatLegendGradient() : '') + ImagerySource.getAgeClassDefinitions()
+            .filter(c => c.key !== 'unknown' && (!ramp || c.key === 'after'))
+            .map(c => `
+                <div class="legend-item">
+                    <span class="legend-color" style="background: ${c.color};"></span>
+                    <span>${c.label}</span>
+                </div>
+            `)
+            .join('');
+
+        const reference = ImagerySource._referenceDate;
+        legendReference.textContent = reference
+            ? `Age at ${ImagerySource.formatDate(reference)} (${ageReferenceSelect.selectedOptions[0].textContent.toLowerCase()})`
+            : '';
+        legendReference.classList.toggle('hidden', !reference);
+    }
 
-        // Manage thumbnails
-        if (zoom >= CONFIG.oam.minZoomForThumbnails) {
-            OamSource.addThumbnailsForFeatures(map, visibleFeatures);
-        } else {
-            OamSource.clearAllThumbnails(map);
+    /**
+     * Gradient bar for the continuous ramp with ticks at whole years (about five of them)
+     */
+    function formatLegendGradient() {
+        const { maxYears } = AgeClasses.getScheme();
+        const stops = AgeClasses.rampStops()
+            .map(([years, color]) => `${color} ${(years / maxYears) * 100}%`)
+            .join(', ');
+
+        const step = Math.max(1, Math.ceil(maxYears / 5));
+        const ticks = [];
+        for (let years = 0; years < maxYears; years += step) ticks.push(years);
+        ticks.push(maxYears);
+
+        const tickHtml = ticks.map((years, i) => `
+            <span class="legend-tick" style="left: ${(years / maxYears) * 100}%;">
+                ${i === ticks.length - 1 ? `${years}+ yrs` : years}
+            </span>
+        `).join('');
+
+        return `
+            <div class="legend-gradient" style="background: linear-gradient(to right, ${stops});"></div>
+            <div class="legend-ticks">${tickHtml}</div>
+        `;
+    }
+
+    /**
+     * Build the timeline steps from the OAM images in view
+     */
+    function buildAnimationSteps() {
+        const features = OamSource.getFeaturesInBounds(getViewBounds());
+        animationSteps = OamAnimation.buildSteps(features, oamAnimUnitSelect.value);
+        oamAnimSlider.max = Math.max(0, animationSteps.length - 1);
+        oamAnimSlider.disabled = animationSteps.length === 0;
+        return animationSteps.length > 0;
+    }
+
+    /**
+     * Reveal the images acquired up to a timeline step and redraw the OAM layers
+     */
+    function showAnimationStep(index) {
+        const step = animationSteps[index];
+        if (!step) return Promise.resolve();
+
+        animationIndex = index;
+        OamAnimation.revealUntil = step.until;
+        oamAnimSlider.value = index;
+        oamAnimReadout.textContent = `${step.label} · ${step.count} image${step.count === 1 ? '' : 's'}`;
+        return onMapMove();
+    }
+
+    /**
+     * Play or pause the timeline; playing from the end (or from scratch) starts at the first step
+     */
+    function toggleAnimation() {
+        if (animationTimer) {
+            pauseAnimation();
+            return;
         }
 
-        // Update stats with combined data if both layers are on
-        updateStats();
+        if (!OamAnimation.revealUntil || animationIndex >= animationSteps.length - 1) {
+            if (!buildAnimationSteps()) {
+                oamAnimReadout.textContent = 'No dated OAM images in view';
+                return;
+            }
+            showAnimationStep(0);
+        }
+        playAnimation();
     }
 
     /**
-     * Handle click on OAM enriched footprint (z10+)
+     * (Re)start the playback timer at the selected speed
      */
-    function onOamFootprintClick(e) {
-        if (!e.features || e.features.length === 0) return;
+    function playAnimation() {
+        clearInterval(animationTimer);
+        oamAnimPlayBtn.textContent = 'Pause';
+        animationTimer = setInterval(() => {
+            if (animationIndex >= animationSteps.length - 1) {
+                pauseAnimation();
+                return;
+            }
+            showAnimationStep(animationIndex + 1);
+        }, Number(oamAnimSpeedSelect.value));
+    }
 
-        const mapFeature = e.features[0];
-        const oamId = mapFeature.properties._oamId;
+    /**
+     * Stop the playback timer, keeping the current step on the map
+     */
+    function pauseAnimation() {
+        clearInterval(animationTimer);
+        animationTimer = null;
+        oamAnimPlayBtn.textContent = 'Play';
+    }
 
-        // Find the full enriched feature from our data
-        const feature = oamFeatures.find(f => f.properties._oamId === oamId);
-        if (!feature) return;
+    /**
+     * Stop the timeline and show all images again
+     * @param {Object} options
+     * @param {boolean} options.redraw - Redraw the OAM layers (false when OAM is being switched off)
+     */
+    function resetAnimation(options = {}) {
+        pauseAnimation();
+        OamAnimation.revealUntil = null;
+        animationSteps = [];
+        animationIndex = 0;
+        oamAnimSlider.value = 0;
+        oamAnimSlider.disabled = true;
+        oamAnimReadout.textContent = 'All images';
+        if (options.redraw !== false) onMapMove();
+    }
 
-        // Select and load TMS
-        selectedOamFeature = feature;
-        OamSource.selectFeature(map, feature);
+    /**
+     * Download a ZIP of one PNG per timeline step, each captured once its footprints and thumbnails
+     * have loaded (one download, as browsers block or prompt on a run of automatic downloads)
+     */
+    async function exportAnimationFrames() {
+        pauseAnimation();
+        if (!buildAnimationSteps()) {
+            oamAnimReadout.textContent = 'No dated OAM images in view';
+            return;
+        }
 
-        // Close TM info panel if open
-        infoPanel.classList.add('hidden');
+        oamAnimExportBtn.disabled = true;
+        oamAnimPlayBtn.disabled = true;
+        try {
+            const frames = [];
+            for (let i = 0; i < animationSteps.length; i++) {
+                await showAnimationStep(i);
+                await new Promise(resolve => {
+                    map.once('idle', resolve);
+                    map.triggerRepaint();
+                });
 
-        // Show OAM info panel
-        oamInfoTitle.textContent = 'OAM Image';
-        oamInfoContent.innerHTML = formatOamInfo(feature);
-        oamInfoPanel.classList.remove('hidden');
+                const step = animationSteps[i];
+                const blob = await OamAnimation.captureFrame(map, `${step.label} · ${step.count} OAM images`);
+                frames.push({
+                    name: `oam-timeline-${String(i + 1).padStart(3, '0')}-${step.label}.png`,
+                    data: new Uint8Array(await blob.arrayBuffer())
+                });
+            }
+            ImageryExport.download(ImageryExport.zip(frames), `oam-timeline-${ImagerySource.formatDate(new Date())}.zip`, 'application/zip');
+        } catch (error) {
+            console.error('Frame export failed:', error);
+            oamAnimReadout.textContent = `Export failed: ${error.message}`;
+        } finally {
+            oamAnimExportBtn.disabled = false;
+            oamAnimPlayBtn.disabled = false;
+        }
     }
 
     /**
-     * Handle click on OAM PMTiles (low zoom overview)
+     * Refresh the date histogram and slider span from the active provider's loaded imagery
      */
-    function onOamPmtilesClick(e) {
-        // At low zoom, zoom in to see details
-        const zoom = map.getZoom();
-        if (zoom < CONFIG.oam.minZoomForDisplay) {
-            map.flyTo({
-                center: e.lngLat,
-                zoom: CONFIG.oam.minZoomForDisplay
-            });
+    function updateDateFilter() {
+        const provider = getActiveProvider();
+        const features = provider ? provider.getFeatures(getViewBounds(), providerContext) : [];
+        dateExtent = DateFilter.getExtent(features);
+
+        const histogram = DateFilter.buildHistogram(features, dateExtent);
+        const maxCount = histogram ? Math.max(...histogram.bins.map(b => b.count), 1) : 1;
+        dateHistogram.innerHTML = histogram
+            ? histogram.bins.map(b => `
+                <span class="date-bar${DateFilter.overlaps(b.start, b.end, dateRange) ? '' : ' out-of-range'}"
+                    data-start="${b.start}" data-end="${b.end}" title="${b.label}: ${b.count}">
+                    <span style="height: ${(b.count / maxCount) * 100}%;"></span>
+                </span>
+            `).join('')
+            : '';
+
+        const days = dateExtent ? dayOffset(ImagerySource.formatDate(dateExtent.max)) : 0;
+        for (const slider of [dateRangeStart, dateRangeEnd]) {
+            slider.max = days;
+            slider.disabled = !dateExtent;
+        }
+        dateRangeStart.value = dateRange?.start ? Math.max(0, dayOffset(dateRange.start)) : 0;
+        dateRangeEnd.value = dateRange?.end ? Math.min(days, dayOffset(dateRange.end)) : days;
+
+        if (!dateExtent) {
+            dateFilterReadout.textContent = 'No imagery loaded';
+            return;
         }
+        const dated = features.filter(f => f.properties.parsedDate);
+        const inRange = dated.filter(f => DateFilter.matches(f.properties, dateRange)).length;
+        dateFilterReadout.textContent = dateRange
+            ? `${inRange} of ${dated.length} in range`
+            : `${ImagerySource.formatDate(dateExtent.min)} – ${ImagerySource.formatDate(dateExtent.max)}`;
     }
 
     /**
-     * Format OAM feature info for the info panel
+     * Days from the start of the loaded date extent to a YYYY-MM-DD date (the slider position)
      */
-    function formatOamInfo(feature) {
-        const p = feature.properties;
-        let html = '';
+    function dayOffset(date) {
+        const min = dateExtent.min;
+        const origin = new Date(min.getFullYear(), min.getMonth(), min.getDate());
+        return Math.round((new Date(`${date}T00:00:00`) - origin) / (24 * 60 * 60 * 1000));
+    }
+
+    /**
+     * YYYY-MM-DD date at a slider position
+     */
+    function dayAtOffset(days) {
+        const min = dateExtent.min;
+        return ImagerySource.formatDate(new Date(min.getFullYear(), min.getMonth(), min.getDate() + days));
+    }
+
+    /**
+     * Dual-handle slider moved: keep the handles ordered; a handle at either end leaves that side open
+     */
+    function onDateSliderInput(moved) {
+        if (!dateExtent) return;
+
+        let start = Number(dateRangeStart.value);
+        let end = Number(dateRangeEnd.value);
+        if (start > end) {
+            if (moved === dateRangeStart) start = end;
+            else end = start;
+        }
+
+        setDateRange({
+            start: start > 0 ? dayAtOffset(start) : null,
+            end: end < Number(dateRangeEnd.max) ? dayAtOffset(end) : null
+        });
+    }
+
+    /**
+     * Date inputs edited: they set the range directly, e.g. "since 2023-02-06"
+     */
+    function onDateInputChange() {
+        setDateRange({ start: dateFilterStart.value || null, end: dateFilterEnd.value || null });
+    }
 
-        // Thumbnail preview
-        if (p.thumbnail) {
-            html += `<img src="${p.thumbnail}" class="oam-thumbnail-preview" alt="OAM thumbnail" onerror="this.style.display='none'">`;
+    /**
+     * Set the acquisition-date range (null shows all dates) and filter the imagery layers
+     */
+    function setDateRange(range) {
+        if (range && range.start && range.end && range.start > range.end) {
+            range = { start: range.end, end: range.start };
         }
+        dateRange = range && (range.start || range.end) ? range : null;
 
-        html += `
-            <div class="info-row">
-                <span class="info-label">Date</span>
-                <span class="info-value">${p.formattedDate}</span>
+        dateFilterStart.value = dateRange?.start || '';
+        dateFilterEnd.value = dateRange?.end || '';
+        DateFilter.apply(map, dateRange);
+        updateDateFilter();
+    }
+
+    /**
+     * Check the loaded project's configured imagery against the other loaded sources
+     * and show a warning in the project panel when a noticeably newer one covers the AOI
+     * Stats refresh on every move, so the check waits until tile loading settles
+     */
+    function checkProjectImagery() {
+        clearTimeout(projectImageryCheckTimer);
+        if (!currentProject?.imagery) return;
+        projectImageryCheckTimer = setTimeout(runProjectImageryCheck, CONFIG.projectImagery.checkDelayMs);
+    }
+
+    function runProjectImageryCheck() {
+        if (!currentProject?.imagery) return;
+
+        const key = `${currentProject.id}:${imageryFeatures.length}:${OamSource._loaded}`;
+        if (key === projectImageryCheckKey) return;
+        projectImageryCheckKey = key;
+
+        const previous = projectImageryCheck?.newer?.name;
+        projectImageryCheck = ImageryRecommendation.checkConfigured(
+            currentProject.geometry, currentProject.imagery, imageryFeatures);
+
+        if (projectImageryCheck?.newer?.name !== previous &&
+            !infoPanel.classList.contains('hidden') &&
+            infoTitle.textContent === `TM Project #${currentProject.id}`) {
+            infoContent.innerHTML = TmApi.formatProjectInfo(currentProject, projectImageryCheck);
+        }
+    }
+
+    /**
+     * Format the area-weighted imagery age report for the loaded TM project AOI
+     * With several sources the newest imagery at each point counts (freshest available)
+     * Returns an empty string when no project is loaded
+     */
+    function formatAoiCoverage(features) {
+        if (!currentProject || !currentProject.geometry) return '';
+
+        const key = [imagerySourceSelect.value, currentProject.id, features.length,
+            ImagerySource._referenceDate?.getTime(), JSON.stringify([AgeClasses.get(), AgeClasses.getScheme()])].join('|');
+        if (key !== aoiCoverageKey) {
+            aoiCoverage = ImagerySource.calculateAoiCoverage(features, currentProject.geometry);
+            aoiCoverageKey = key;
+        }
+        const report = aoiCoverage;
+        if (!report) return '';
+
+        const bar = report.classes
+            .filter(c => c.percent > 0)
+            .map(c => `<span style="width: ${c.percent}%; background: ${c.color};" title="${c.label}"></span>`)
+            .join('');
+
+        const rows = report.classes
+            .filter(c => c.km2 > 0)
+            .map(c => `
+                <div class="stat-row">
+                    <span class="stat-label"><span class="legend-color" style="background: ${c.color};"></span>${c.label}</span>
+                    <span class="stat-value">${c.km2.toFixed(1)} km² (${Math.round(c.percent)}%)</span>
+                </div>
+            `)
+            .join('');
+
+        return `
+            <div class="stat-section">
+                <h4>Project #${currentProject.id} AOI (${report.totalKm2.toFixed(1)} km²)</h4>
+                <div class="coverage-bar">${bar}</div>
+                <div class="coverage-summary">${report.summary}</div>
+                ${rows}
             </div>
         `;
+    }
 
-        if (p.provider) {
-            html += `
-                <div class="info-row">
-                    <span class="info-label">Provider</span>
-                    <span class="info-value">${p.provider}</span>
-                </div>
-            `;
+    /**
+     * Format the selected theme's stats: value range of the imagery in view and its area distribution
+     * over the project AOI (when a project is loaded) or the viewport
+     */
+    function formatThemeStats(themeId, features, projectFeatures) {
+        const theme = ImageryThemes.get(themeId);
+        const stats = ImageryThemes.calculateStats(features, themeId);
+        const format = (value) => `${value} ${theme.unit}`;
+
+        // The coverage is only resampled when the theme, source, area or loaded features change
+        const onAoi = Boolean(currentProject?.geometry);
+        const area = onAoi ? currentProject.geometry : GeoUtils.bboxToPolygon(getViewBounds());
+        const coverageFeatures = onAoi ? projectFeatures : features;
+        const key = [themeId, imagerySourceSelect.value, onAoi ? currentProject.id : getViewBounds().join(','),
+            coverageFeatures.length].join('|');
+        if (key !== themeCoverageKey) {
+            themeCoverage = ImageryThemes.calculateCoverage(coverageFeatures, area, themeId);
+            themeCoverageKey = key;
         }
+        const report = themeCoverage;
 
-        if (p.platform) {
+        let html = `<div class="stat-section"><h4>${theme.name}</h4>`;
+        if (stats) {
             html += `
-                <div class="info-row">
-                    <span class="info-label">Platform</span>
-                    <span class="info-value">${p.platform}</span>
+                <div class="stat-row">
+                    <span class="stat-label">Best / median / worst</span>
+                    <span class="stat-value">${format(stats.best)} / ${format(stats.median)} / ${format(stats.worst)}</span>
                 </div>
             `;
+        } else {
+            html += `<div class="coverage-summary">No ${theme.name.toLowerCase()} metadata in view</div>`;
         }
 
-        if (p.sensor) {
+        if (report) {
+            const bar = report.classes
+                .filter(c => c.percent > 0)
+                .map(c => `<span style="width: ${c.percent}%; background: ${c.color};" title="${c.label}"></span>`)
+                .join('');
+            const rows = report.classes
+                .filter(c => c.km2 > 0)
+                .map(c => `
+                    <div class="stat-row">
+                        <span class="stat-label"><span class="legend-color" style="background: ${c.color};"></span>${c.label}</span>
+                        <span class="stat-value">${c.km2.toFixed(1)} km² (${Math.round(c.percent)}%)</span>
+                    </div>
+                `)
+                .join('');
+
             html += `
-                <div class="info-row">
-                    <span class="info-label">Sensor</span>
-                    <span class="info-value">${p.sensor}</span>
+                <div class="coverage-summary">
+                    ${onAoi ? `Project #${currentProject.id} AOI` : 'View'} (${report.totalKm2.toFixed(1)} km²):
+                    ${report.highlightKm2.toFixed(1)} km² (${Math.round(report.highlightPercent)}%) at ${format(theme.highlight)} or better
                 </div>
+                <div class="coverage-bar">${bar}</div>
+                ${rows}
             `;
         }
+        return html + '</div>';
+    }
 
-        if (p.gsd) {
-            html += `
-                <div class="info-row">
-                    <span class="info-label">GSD</span>
-                    <span class="info-value">${Number(p.gsd).toFixed(2)} m</span>
+    /**
+     * Format the changeset comment suffix for imagery over the loaded TM project
+     */
+    function formatProjectChangesetSuffix(features) {
+        if (!currentProject || !currentProject.geometry) return '';
+
+        const suffix = ChangesetTags.forProject(features, currentProject.geometry);
+        if (!suffix) return '';
+
+        return `<div class="stat-section">${formatCopyBlock('Changeset comment suffix', suffix)}</div>`;
+    }
+
+    /**
+     * Format a read-only, copyable text block (e.g. changeset tags); the text is escaped, as it
+     * can hold user-supplied values such as OAM titles
+     */
+    function formatCopyBlock(title, text) {
+        const rows = text.split('\n').length;
+        return `
+            <div class="copy-block">
+                <div class="copy-block-header">
+                    <span>${TextUtils.escapeHtml(title)}</span>
+                    <button class="btn-small copy-btn">Copy</button>
                 </div>
-            `;
+                <textarea readonly rows="${rows}">${TextUtils.escapeHtml(text)}</textarea>
+            </div>
+        `;
+    }
+
+    /**
+     * Copy the text of the copy block a clicked Copy button belongs to
+     */
+    async function onCopyClick(e) {
+        const button = e.target.closest('.copy-btn');
+        if (!button) return;
+
+        const textarea = button.closest('.copy-block').querySelector('textarea');
+        try {
+            await navigator.clipboard.writeText(textarea.value);
+        } catch (error) {
+            // Clipboard API unavailable (e.g. insecure context) - fall back to selection
+            textarea.select();
+            document.execCommand('copy');
         }
 
-        if (p.title) {
-            html += `
-                <div class="info-row">
-                    <span class="info-label">Title</span>
-                    <span class="info-value">${p.title}</span>
-                </div>
-            `;
+        button.textContent = 'Copied';
+        setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+    }
+
+    /**
+     * Change basemap
+     */
+    function changeBasemap() {
+        const basemapId = basemapSelect.value;
+        const basemap = CONFIG.basemaps[basemapId];
+
+        if (!basemap) return;
+
+        // ESRI World Imagery follows the selected Wayback release, if any
+        const release = WaybackSource.activeRelease;
+        const tiles = (basemapId === 'esri-imagery' && release) ? [release.tileUrl] : basemap.tiles;
+
+        // Replace the source rather than its tiles, so max zoom and attribution follow the basemap
+        const layers = map.getStyle().layers;
+        const beforeId = layers[layers.findIndex(l => l.id === 'basemap-layer') + 1]?.id;
+        map.removeLayer('basemap-layer');
+        map.removeSource('basemap');
+        map.addSource('basemap', {
+            type: 'raster',
+            tiles: tiles,
+            tileSize: 256,
+            scheme: basemap.scheme || 'xyz',
+            attribution: basemap.attribution,
+            maxzoom: basemap.maxzoom
+        });
+        map.addLayer({ id: 'basemap-layer', type: 'raster', source: 'basemap' }, beforeId);
+
+        updateTmProjectColors();
+    }
+
+    /**
+     * Update TM project layer colors based on basemap brightness
+     * Light basemaps (OSM, ESRI Topo) → dark outlines/labels
+     * Dark basemaps (ESRI Imagery, Carto Dark) → white outlines/labels
+     */
+    function updateTmProjectColors() {
+        const basemapId = basemapSelect.value;
+        const isDark = (basemapId === 'esri-imagery' || basemapId === 'carto-dark' || !!CONFIG.basemaps[basemapId]?.dark);
+
+        const primary = isDark ? '#ffffff' : '#333333';
+        const contrast = isDark ? '#333333' : '#ffffff';
+        const haloColor = isDark ? '#000000' : '#ffffff';
+
+        // PMTiles layers
+        map.setPaintProperty('pmtiles-projects-fill', 'fill-color', primary);
+        map.setPaintProperty('pmtiles-projects-outline', 'line-color', primary);
+
+        // Project labels
+        map.setPaintProperty('project-labels', 'text-color', primary);
+        map.setPaintProperty('project-labels', 'text-halo-color', haloColor);
+
+        // Selected TM project
+        map.setPaintProperty('tm-project-fill', 'fill-color', primary);
+        map.setPaintProperty('tm-project-outline', 'line-color', primary);
+        map.setPaintProperty('tm-project-outline-dash', 'line-color', contrast);
+    }
+
+    /**
+     * Change imagery metadata source (a registered provider, or none)
+     * Mutually exclusive — cleans up the other providers before enabling the selected one
+     */
+    async function changeImagerySource() {
+        const provider = getActiveProvider();
+
+        // Requests of the previous source are no longer needed (activate() below may take a while)
+        if (viewportController) viewportController.abort();
+        viewportController = new AbortController();
+        viewportKey = null;
+
+        // ESRI and Bing share the tile layers: drop tiles from the other tile provider
+        const tileSource = provider?.tileSource || provider?.id;
+        if (provider?.tileLayer && imageryTileSource !== tileSource) {
+            clearImageryFeatures();
+            imageryTileSource = tileSource;
         }
 
-        if (p.pageUrl) {
-            html += `<a href="${p.pageUrl}" target="_blank" class="btn-link">View on OpenAerialMap</a>`;
+        // --- Disable the other providers ---
+        for (const other of ImageryProviders.getEnabled()) {
+            if (other === provider) continue;
+            providerContext.setLayersVisible(other.layers, false);
+            other.cleanup(providerContext);
+        }
+        oamInfoPanel.classList.add('hidden');
+
+        // The OAM timeline only drives the OAM footprints
+        oamAnimationGroup.classList.toggle('hidden', provider?.id !== 'oam');
+        if (provider?.id !== 'oam') resetAnimation({ redraw: false });
+
+        // --- Enable selected provider ---
+        if (provider) {
+            // One-off loading (e.g. the OAM catalog); fall back to none if it fails
+            if (provider.activate && !(await provider.activate(providerContext))) {
+                imagerySourceSelect.value = 'none';
+                await changeImagerySource();
+                return;
+            }
+            providerContext.setLayersVisible(provider.layers, true);
+        }
+
+        updateZoomWarning();
+        updateStats();
+        updateTaskImagery();
+
+        // Fetch metadata for the current viewport straight away
+        if (provider) {
+            onMapMove();
         }
+    }
+
+    /**
+     * Get the selected imagery provider (null for 'none')
+     */
+    function getActiveProvider() {
+        return ImageryProviders.get(imagerySourceSelect.value);
+    }
+
+    /**
+     * Whether the selected provider shows ESRI tiles (ESRI itself or the freshest composite)
+     */
+    function showsEsriTiles() {
+        const provider = getActiveProvider();
+        return !!provider?.tileLayer && (provider.tileSource || provider.id) === 'esri';
+    }
+
+    /**
+     * Current viewport as [west, south, east, north]
+     */
+    function getViewBounds() {
+        const bounds = map.getBounds();
+        return [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()];
+    }
 
-        return html;
+    /**
+     * Fill the imagery source picker from the providers enabled in CONFIG.imageryProviders
+     * The first provider is selected; 'None' stays last
+     */
+    function populateImagerySources() {
+        const noneOption = imagerySourceSelect.querySelector('option[value="none"]');
+        for (const provider of ImageryProviders.getEnabled()) {
+            const option = document.createElement('option');
+            option.value = provider.id;
+            option.textContent = provider.name;
+            imagerySourceSelect.insertBefore(option, noneOption);
+        }
+        imagerySourceSelect.selectedIndex = 0;
     }
 
     /**
@@ -1261,36 +2476,327 @@
     }
 
     /**
-     * Handle click on imagery tile
+     * Download the active source's imagery metadata (loaded ESRI tiles or OAM footprints in view)
+     * Optionally limited to imagery intersecting the loaded TM project (whole geometries, not clipped)
+     */
+    function exportImagery() {
+        const source = imagerySourceSelect.value;
+        const provider = getActiveProvider();
+        let features = provider ? provider.getFeatures(getViewBounds(), providerContext) : [];
+
+        const onlyProject = exportProjectOnly.checked && currentProject?.geometry;
+        if (onlyProject) {
+            features = features.filter(f => GeoUtils.geometriesIntersect(f.geometry, currentProject.geometry));
+        }
+
+        if (features.length === 0) {
+            alert('No imagery metadata to export. Load ESRI tiles or OAM footprints first.');
+            return;
+        }
+
+        const format = exportFormatSelect.value;
+        const { extension, mimeType } = ImageryExport.formats[format];
+        const scope = onlyProject ? `project-${currentProject.id}` : ImagerySource.formatDate(new Date());
+        const filename = `osm-carbon-date-${source}-${scope}.${extension}`;
+
+        ImageryExport.download(ImageryExport.serialize(features, format), filename, mimeType);
+    }
+
+    /**
+     * List the Editor Layer Index imagery layers covering a point or a loaded project
+     * @param {Object} target - { point: [lon, lat] } or { project }
      */
-    function onImageryClick(e) {
+    async function showEliLayers(target) {
+        infoPanel.classList.add('hidden');
+        oamInfoPanel.classList.add('hidden');
+        upgradesPanel.classList.add('hidden');
+        recommendPanel.classList.add('hidden');
+        settingsPanel.classList.add('hidden');
+
+        eliTitle.textContent = target.project
+            ? `Imagery for project #${target.project.id}`
+            : `Imagery at ${target.point[1].toFixed(4)}, ${target.point[0].toFixed(4)}`;
+        eliContent.innerHTML = '<div class="loading-text">Loading Editor Layer Index...</div>';
+        eliPanel.classList.remove('hidden');
+
+        try {
+            await EliSource.load();
+        } catch (error) {
+            eliContent.innerHTML = `<div class="error-text">Error: ${error.message}</div>`;
+            return;
+        }
+
+        const layers = target.project
+            ? EliSource.layersForGeometry(target.project.geometry)
+            : EliSource.layersAt(target.point[0], target.point[1]);
+
+        if (layers.length === 0) {
+            eliContent.innerHTML = '<div class="loading-text">No imagery layers found</div>';
+            return;
+        }
+
+        eliContent.innerHTML = layers.map(layer => {
+            const dates = (layer.startDate || layer.endDate)
+                ? `${layer.startDate || '?'} – ${layer.endDate || '?'}`
+                : 'Dates unknown';
+            const licence = layer.licenseUrl
+                ? `<a href="${TextUtils.escapeHtml(layer.licenseUrl)}" target="_blank" rel="noopener">${TextUtils.escapeHtml(layer.license || 'Licence')}</a>`
+                : TextUtils.escapeHtml(layer.license || 'Licence unknown');
+
+            return `
+                <div class="eli-item ${layer.usable ? 'usable' : ''}" data-eli-id="${TextUtils.escapeHtml(layer.id)}"
+                     title="${layer.usable ? 'Use as basemap' : 'Cannot be displayed here (API key or unsupported type)'}">
+                    <div class="eli-name">${layer.best ? '<span class="eli-best" title="Best imagery">&#9733;</span>' : ''}${TextUtils.escapeHtml(layer.name)}</div>
+                    <div class="eli-meta">${dates} · ${layer.maxZoom ? `z${layer.maxZoom}` : 'max zoom ?'} · ${licence}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Switch the basemap to an Editor Layer Index layer
+     * The layer is registered in CONFIG.basemaps and the basemap picker, then applied via changeBasemap
+     */
+    function selectEliLayer(id) {
+        const layer = EliSource.getLayer(id);
+        const basemap = layer ? EliSource.toBasemap(layer) : null;
+        if (!basemap) return;
+
+        const basemapId = `eli:${id}`;
+        CONFIG.basemaps[basemapId] = basemap;
+
+        if (!basemapSelect.querySelector(`option[value="${CSS.escape(basemapId)}"]`)) {
+            let group = document.getElementById('eli-basemaps');
+            if (!group) {
+                group = document.createElement('optgroup');
+                group.id = 'eli-basemaps';
+                group.label = 'Editor Layer Index';
+                basemapSelect.appendChild(group);
+            }
+            const option = document.createElement('option');
+            option.value = basemapId;
+            option.textContent = basemap.name;
+            group.appendChild(option);
+        }
+
+        basemapSelect.value = basemapId;
+        changeBasemap();
+    }
+
+    /**
+     * Find OAM images over the loaded project that are newer than the ESRI tiles they overlap
+     * Needs ESRI tiles over the AOI (pan around or "Scan whole project" first)
+     */
+    async function showUpgradeOpportunities() {
+        if (!currentProject) return;
+
+        infoPanel.classList.add('hidden');
+        oamInfoPanel.classList.add('hidden');
+        eliPanel.classList.add('hidden');
+        recommendPanel.classList.add('hidden');
+        settingsPanel.classList.add('hidden');
+
+        upgradesTitle.textContent = `OAM upgrades for project #${currentProject.id}`;
+        upgradesContent.innerHTML = '<div class="loading-text">Comparing OAM with ESRI...</div>';
+        upgradesPanel.classList.remove('hidden');
+        upgradeResults = [];
+
+        if (!(await ImageryProviders.getRegistered('oam').activate(providerContext))) {
+            upgradesContent.innerHTML = '<div class="error-text">Error: could not load OpenAerialMap data</div>';
+            return;
+        }
+
+        const esriTiles = imageryFeatures.filter(f => f.properties.source === 'ESRI World Imagery');
+        if (esriTiles.length === 0) {
+            upgradesContent.innerHTML = '<div class="loading-text">No ESRI tiles loaded for this project yet. Run "Scan whole project" first.</div>';
+            return;
+        }
+
+        upgradeResults = OamSource.findUpgrades(currentProject.geometry, esriTiles);
+        renderUpgradeOpportunities();
+    }
+
+    /**
+     * Render the upgrade list in the selected order
+     */
+    function renderUpgradeOpportunities() {
+        if (upgradesPanel.classList.contains('hidden') || !currentProject) return;
+
+        if (upgradeResults.length === 0) {
+            upgradesContent.innerHTML = '<div class="loading-text">No OAM imagery newer than ESRI over this project</div>';
+            return;
+        }
+
+        upgradeResults = OamSource.rankUpgrades(upgradeResults, upgradesSortSelect.value);
+        upgradesContent.innerHTML = upgradeResults.map((u, i) => {
+            const p = u.feature.properties;
+            const gain = u.gainYears < 1 ? `${Math.round(u.gainYears * 12)} months` : `${u.gainYears.toFixed(1)} years`;
+            const partial = u.upgradeKm2 < u.overlapKm2 * 0.99
+                ? ` (${u.upgradeKm2.toFixed(2)} km² newer)`
+                : '';
+
+            return `
+                <div class="upgrade-item" data-index="${i}" title="Zoom to image and load its imagery">
+                    <div class="upgrade-name">${TextUtils.escapeHtml(p.title || p.provider || 'Untitled image')}</div>
+                    <div class="upgrade-meta">
+                        ${p.formattedDate} · <span class="upgrade-gain">+${gain}</span> vs ESRI
+                    </div>
+                    <div class="upgrade-meta">
+                        ${u.overlapKm2.toFixed(2)} km² in AOI${partial} · GSD ${u.gsd ? `${u.gsd.toFixed(2)} m` : 'unknown'}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Zoom to an upgrade candidate, highlight it and load its TMS imagery
+     * The OAM footprints are shown first, so the selection isn't left on hidden layers
+     */
+    async function openUpgrade(upgrade) {
+        if (!upgrade) return;
+        const feature = upgrade.feature;
+
+        if (imagerySourceSelect.value !== 'oam') {
+            imagerySourceSelect.value = 'oam';
+            await changeImagerySource();
+            // Catalog failed to load: the source fell back to none
+            if (imagerySourceSelect.value !== 'oam') return;
+        }
+
+        map.fitBounds(feature.properties.bbox, { padding: 40 });
+        OamSource.selectFeature(map, feature);
+        OamSource.loadTmsForFeature(map, feature);
+    }
+
+    /**
+     * Recommend the best imagery source for the loaded project
+     * Scores ESRI (from loaded tiles) and every OAM image over the AOI
+     */
+    async function showRecommendation() {
+        if (!currentProject) return;
+
+        infoPanel.classList.add('hidden');
+        oamInfoPanel.classList.add('hidden');
+        eliPanel.classList.add('hidden');
+        upgradesPanel.classList.add('hidden');
+        settingsPanel.classList.add('hidden');
+
+        recommendTitle.textContent = `Imagery for project #${currentProject.id}`;
+        recommendContent.innerHTML = '<div class="loading-text">Scoring imagery sources...</div>';
+        recommendPanel.classList.remove('hidden');
+
+        // OAM images are candidates too; carry on with ESRI alone if the catalog fails
+        await ImageryProviders.getRegistered('oam').activate(providerContext);
+
+        const candidates = ImageryRecommendation.buildCandidates(currentProject.geometry, imageryFeatures);
+        const ranked = ImageryRecommendation.recommend(currentProject.geometry, candidates);
+        const best = ranked[0];
+
+        if (!best || best.score === 0) {
+            recommendContent.innerHTML = '<div class="loading-text">No imagery metadata covers this project yet. Run "Scan whole project" first.</div>';
+            return;
+        }
+
+        let html = `
+            <div class="recommend-top">
+                <div class="upgrade-name">${TextUtils.escapeHtml(best.name)}</div>
+                <ul>${best.reasons.map(r => `<li>${TextUtils.escapeHtml(r)}</li>`).join('')}</ul>
+            </div>
+            ${formatCopyBlock('TM imagery field', ImageryRecommendation.toTmImagery(best.tileUrl, best.maxZoom))}
+        `;
+
+        const others = ranked.slice(1, 1 + CONFIG.recommendation.maxListed);
+        if (others.length > 0) {
+            html += '<div class="stat-section"><h4>Other sources</h4>';
+            html += others.map(c => `
+                <div class="upgrade-item" title="${TextUtils.escapeHtml(c.reasons.join('; '))}">
+                    <div class="upgrade-name">${TextUtils.escapeHtml(c.name)}</div>
+                    <div class="upgrade-meta">
+                        Score ${Math.round(c.score)} · ${Math.round(c.coverage * 100)}% coverage
+                        ${c.ageYears !== null ? ` · ${c.ageYears.toFixed(1)} yrs` : ''}
+                        ${c.resolution ? ` · ${c.resolution.toFixed(2)} m` : ''}
+                    </div>
+                </div>
+            `).join('');
+            html += '</div>';
+        }
+
+        recommendContent.innerHTML = html;
+    }
+
+    /**
+     * Toggle the TM task grid layer
+     */
+    function toggleTaskLayer() {
+        const visibility = showTmTasks.checked ? 'visible' : 'none';
+        map.setLayoutProperty('tm-tasks-fill', 'visibility', visibility);
+        map.setLayoutProperty('tm-tasks-outline', 'visibility', visibility);
+        updateTaskImagery();
+    }
+
+    /**
+     * Colour the loaded project's tasks by the imagery under them
+     * Uses ESRI tiles or OAM footprints depending on the selected metadata source
+     */
+    function updateTaskImagery() {
+        const tasks = currentProject?.tasks?.features || [];
+        if (!showTmTasks.checked || tasks.length === 0) {
+            map.getSource('tm-tasks').setData({ type: 'FeatureCollection', features: [] });
+            return;
+        }
+
+        const provider = getActiveProvider();
+        const imagery = provider
+            ? provider.getFeatures(TmApi.getProjectBounds(currentProject), providerContext)
+            : [];
+
+        const mode = taskDateModeSelect.value;
+        const features = tasks.map(task => {
+            const summary = ImagerySource.summarizeImagery(imagery, task.geometry, mode);
+            const date = summary ? summary.date : null;
+
+            return {
+                type: 'Feature',
+                geometry: task.geometry,
+                properties: {
+                    taskId: task.properties?.taskId,
+                    taskStatus: task.properties?.taskStatus,
+                    imageryCount: summary ? summary.count : 0,
+                    formattedDate: ImagerySource.formatDate(date),
+                    ageYears: ImagerySource.getAgeInYears(date),
+                    ageColor: ImagerySource.getAgeColor(date),
+                    ageClass: ImagerySource.getAgeClass(date)
+                }
+            };
+        });
+
+        map.getSource('tm-tasks').setData({ type: 'FeatureCollection', features: features });
+    }
+
+    /**
+     * Handle click on a TM task
+     */
+    function onTaskClick(e) {
         if (!e.features || e.features.length === 0) return;
 
-        const feature = e.features[0];
-        const props = feature.properties;
+        const props = e.features[0].properties;
+        const modeLabel = taskDateModeSelect.options[taskDateModeSelect.selectedIndex].text;
 
         const html = `
-            <h4>Imagery Tile</h4>
+            <h4>Task #${props.taskId}</h4>
             <div class="popup-row">
-                <span class="popup-label">Date</span>
-                <span class="popup-value">${props.formattedDate}</span>
+                <span class="popup-label">Status</span>
+                <span class="popup-value">${TmApi.formatTaskStatus(props.taskStatus)}</span>
             </div>
             <div class="popup-row">
-                <span class="popup-label">Source</span>
-                <span class="popup-value">${props.NICE_NAME || props.source || 'Unknown'}</span>
-            </div>
-            ${props.SRC_RES ? `
-            <div class="popup-row">
-                <span class="popup-label">Resolution</span>
-                <span class="popup-value">${props.SRC_RES}m</span>
+                <span class="popup-label">Imagery date (${modeLabel.toLowerCase()})</span>
+                <span class="popup-value">${props.formattedDate}</span>
             </div>
-            ` : ''}
-            ${props.SRC_ACC ? `
             <div class="popup-row">
-                <span class="popup-label">Accuracy</span>
-                <span class="popup-value">${props.SRC_ACC}m</span>
+                <span class="popup-label">Intersecting imagery</span>
+                <span class="popup-value">${props.imageryCount}</span>
             </div>
-            ` : ''}
         `;
 
         new maplibregl.Popup()
@@ -1299,6 +2805,51 @@
             .addTo(map);
     }
 
+    /**
+     * Handle click on a feature of the selected imagery provider
+     * Tile providers show a popup; footprint providers (OAM, STAC) the image info panel
+     */
+    function onImageryFeatureClick(e) {
+        const provider = getActiveProvider();
+        if (!provider || !e.features || e.features.length === 0) return;
+        if (e.features[0].layer.id !== provider.clickLayer) return;
+
+        // Map-rendered properties lose Date objects; use the provider's full feature if it has one
+        const feature = provider.getFeature ? provider.getFeature(e.features[0].properties) : e.features[0];
+        if (!feature) return;
+
+        let html = provider.formatInfo(feature);
+        if (feature.properties.afterCreation && currentProject) {
+            html += `<div class="after-creation-flag">Captured after project #${currentProject.id} was created; the AOI may need re-mapping</div>`;
+        }
+        html += formatCopyBlock('Changeset tags', ChangesetTags.forFeature(feature.properties));
+
+        const link = provider.getPageLink?.(feature.properties);
+        if (link) {
+            html += `<a href="${TextUtils.escapeHtml(link.url)}" target="_blank" rel="noopener" class="btn-link">${TextUtils.escapeHtml(link.label)}</a>`;
+        }
+
+        if (provider.infoDisplay === 'panel') {
+            provider.select?.(feature, providerContext);
+
+            // Close TM info and the other side panels if open
+            infoPanel.classList.add('hidden');
+            eliPanel.classList.add('hidden');
+            upgradesPanel.classList.add('hidden');
+            recommendPanel.classList.add('hidden');
+            settingsPanel.classList.add('hidden');
+
+            oamInfoTitle.textContent = provider.infoTitle;
+            oamInfoContent.innerHTML = html;
+            oamInfoPanel.classList.remove('hidden');
+        } else {
+            new maplibregl.Popup()
+                .setLngLat(e.lngLat)
+                .setHTML(`<h4>${provider.infoTitle}</h4>${html}`)
+                .addTo(map);
+        }
+    }
+
     /**
      * Handle click on TM project
      */
@@ -1307,7 +2858,7 @@
 
         // Show info panel
         infoTitle.textContent = `TM Project #${currentProject.id}`;
-        infoContent.innerHTML = TmApi.formatProjectInfo(currentProject);
+        infoContent.innerHTML = TmApi.formatProjectInfo(currentProject, projectImageryCheck);
         infoPanel.classList.remove('hidden');
     }
 
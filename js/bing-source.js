@@ -0,0 +1,186 @@
+/**
+ * Bing Maps imagery vintage source for osm-carbon-date
+ * Queries the Bing imagery metadata API for vintageStart/vintageEnd per quadkey tile
+ * https://learn.microsoft.com/en-us/bingmaps/rest-services/imagery/get-imagery-metadata
+ */
+
+const BingSource = {
+    // Cache of loaded quadkeys to avoid duplicates
+    loadedIds: new Set(),
+
+    // Month abbreviations used in Bing vintage dates (e.g. "12 May 2023")
+    _months: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+
+    /**
+     * Parse a Bing vintage date ("12 May 2023" or "2023-05-12") to a Date object
+     * @returns {Date|null}
+     */
+    parseBingDate(value) {
+        if (!value) return null;
+
+        const dmy = /^(\d{1,2}) ([A-Za-z]{3})[a-z]* (\d{4})$/.exec(value.trim());
+        if (dmy) {
+            const month = this._months.indexOf(dmy[2].toLowerCase());
+            if (month === -1) return null;
+            return new Date(Number(dmy[3]), month, Number(dmy[1]));
+        }
+
+        const iso = /^(\d{4})-(\d{2})-(\d{2})/.exec(value.trim());
+        if (iso) {
+            return new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+        }
+
+        return null;
+    },
+
+    /**
+     * Build the quadkey of a slippy-map tile
+     */
+    toQuadkey(x, y, z) {
+        let quadkey = '';
+        for (let i = z; i > 0; i--) {
+            const mask = 1 << (i - 1);
+            let digit = 0;
+            if (x & mask) digit += 1;
+            if (y & mask) digit += 2;
+            quadkey += digit;
+        }
+        return quadkey;
+    },
+
+    /**
+     * Slippy-map tile of a quadkey
+     * @returns {Object} { x, y, z, quadkey }
+     */
+    fromQuadkey(quadkey) {
+        let x = 0;
+        let y = 0;
+        for (const digit of quadkey) {
+            x = x * 2 + (Number(digit) & 1);
+            y = y * 2 + (Number(digit) >> 1);
+        }
+        return { x, y, z: quadkey.length, quadkey };
+    },
+
+    /**
+     * Clear the loaded quadkeys cache (call when zooming out)
+     */
+    clearCache() {
+        this.loadedIds.clear();
+    },
+
+    /**
+     * Fetch Bing imagery vintage for the quadkey tiles covering a bbox
+     * Tiles are laid out a few zoom levels above the view (capped at maxTilesPerView); each
+     * tile's vintage range is requested at the tile's own zoom level, so it describes the whole tile.
+     * Loaded tiles are never overlapped: areas already drawn at another level are left out.
+     * @param {Array} bounds - [west, south, east, north] in EPSG:4326
+     * @param {number} zoom - current zoom level
+     * @param {AbortSignal} signal - Optional: cancels the fetch (it then rejects with an AbortError)
+     * @returns {Promise<Object>} GeoJSON FeatureCollection with date info
+     */
+    async fetchMetadata(bounds, zoom, signal) {
+        if (!CONFIG.bing.apiKey) {
+            return { error: 'config', message: 'Bing API key not set (CONFIG.bing.apiKey)' };
+        }
+
+        let tileZoom = Math.max(1, Math.floor(zoom) - CONFIG.bing.tileZoomOffset);
+        let tiles = GeoUtils.tileCoordsInBbox(bounds, tileZoom);
+        while (tiles.length > CONFIG.bing.maxTilesPerView && tileZoom > 1) {
+            tileZoom--;
+            tiles = GeoUtils.tileCoordsInBbox(bounds, tileZoom);
+        }
+
+        const newTiles = tiles
+            .flatMap(t => this._uncoveredQuadkeys(this.toQuadkey(t.x, t.y, t.z)))
+            .map(quadkey => this.fromQuadkey(quadkey));
+
+        console.log(`Bing metadata: ${newTiles.length} new tiles (layout z${tileZoom})`);
+
+        try {
+            const results = await Promise.all(newTiles.map(t => this.fetchTile(t, signal)));
+            const features = results.filter(f => f !== null);
+            features.forEach(f => this.loadedIds.add(f.properties.quadkey));
+
+            return {
+                type: 'FeatureCollection',
+                features: features
+            };
+        } catch (error) {
+            if (RequestScheduler.isAbortError(error)) throw error;
+            console.error('Error fetching Bing metadata:', error);
+            return { error: 'fetch', message: error.message };
+        }
+    },
+
+    /**
+     * Fetch imagery vintage for a single quadkey tile
+     * @param {Object} tile - { x, y, z, quadkey }
+     * @param {AbortSignal} signal - Optional: cancels the request
+     * @returns {Promise<Object|null>} GeoJSON Feature of the tile, or null on failure
+     */
+    async fetchTile(tile, signal) {
+        const bbox = GeoUtils.tileToBbox(tile.x, tile.y, tile.z);
+        const lon = (bbox[0] + bbox[2]) / 2;
+        const lat = (bbox[1] + bbox[3]) / 2;
+
+        // At the tile's own zoom the centre point selects the tile itself, and the
+        // vintage range returned covers all of its imagery
+        const params = new URLSearchParams({
+            zl: String(tile.z),
+            key: CONFIG.bing.apiKey
+        });
+        const url = `${CONFIG.bing.metadataUrl}/${lat.toFixed(6)},${lon.toFixed(6)}?${params}`;
+
+        try {
+            const response = await RequestScheduler.fetch(url, { signal });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            const resource = data.resourceSets?.[0]?.resources?.[0];
+            if (!resource) return null;
+
+            const vintageStart = this.parseBingDate(resource.vintageStart);
+            const vintageEnd = this.parseBingDate(resource.vintageEnd);
+            // Newest capture date in the tile drives the age colouring
+            const parsedDate = vintageEnd || vintageStart;
+            const formattedDate = ImagerySource.formatDate(parsedDate);
+
+            return {
+                type: 'Feature',
+                properties: {
+                    OBJECTID: `bing-${tile.quadkey}`,
+                    quadkey: tile.quadkey,
+                    SRC_DATE: parsedDate ? Number(formattedDate.replace(/-/g, '')) : null,
+                    NICE_NAME: 'Bing Maps Aerial',
+                    vintageStart: vintageStart ? ImagerySource.formatDate(vintageStart) : null,
+                    vintageEnd: vintageEnd ? ImagerySource.formatDate(vintageEnd) : null,
+                    ...ImagerySource.getAgeProperties(parsedDate),
+                    source: 'Bing Maps Aerial'
+                },
+                geometry: GeoUtils.bboxToPolygon(bbox)
+            };
+        } catch (error) {
+            if (RequestScheduler.isAbortError(error)) throw error;
+            console.error('Error fetching Bing tile metadata:', tile.quadkey, error);
+            return null;
+        }
+    },
+
+    // ---- Internal helpers ----
+
+    /**
+     * Parts of a quadkey tile not drawn yet: none when it or an ancestor is loaded, the tile
+     * itself when nothing inside it is, else its quarters without loaded tiles, recursively
+     * (so zooming out fills in around tiles drawn at a higher zoom instead of covering them)
+     * @returns {Array} Quadkeys
+     */
+    _uncoveredQuadkeys(quadkey) {
+        const loaded = [...this.loadedIds];
+        if (loaded.some(id => quadkey.startsWith(id))) return [];
+        if (!loaded.some(id => id.startsWith(quadkey))) return [quadkey];
+        return ['0', '1', '2', '3'].flatMap(digit => this._uncoveredQuadkeys(quadkey + digit));
+    }
+};
@@ -0,0 +1,90 @@
+/**
+ * OSM changeset tag generator for osm-carbon-date
+ * Builds source / imagery_used / source:date tags from imagery metadata
+ */
+
+const ChangesetTags = {
+    /**
+     * Get the capture date of an ESRI/Bing tile, OAM footprint or STAC item from its raw attributes
+     * Works on map-rendered feature properties, where parsedDate is not available
+     * @returns {Date|null}
+     */
+    getFeatureDate(props) {
+        if (props.source === 'OpenAerialMap') {
+            return OamSource.parseOamDate(props.acquisition_start);
+        }
+        if (props.source === 'STAC') {
+            return ImagerySource.parseIsoDate(props.datetime || props.start_datetime);
+        }
+        return ImagerySource.parseEsriDate(props.SRC_DATE);
+    },
+
+    /**
+     * Get the imagery layer name and provider for a feature
+     * @returns {Object} { source, imageryUsed }
+     */
+    getFeatureSource(props) {
+        if (props.source === 'OpenAerialMap') {
+            const details = [props.title, props.provider].filter(Boolean).join(', ');
+            return {
+                source: 'OpenAerialMap',
+                imageryUsed: details ? `OpenAerialMap (${details})` : 'OpenAerialMap'
+            };
+        }
+
+        if (props.source === 'STAC') {
+            const name = props.constellation || props.collection || 'STAC';
+            return { source: name, imageryUsed: props.platform ? `${name} (${props.platform})` : name };
+        }
+
+        if (props.source === 'Bing Maps Aerial') {
+            return { source: 'Bing Maps Aerial', imageryUsed: 'Bing Maps Aerial' };
+        }
+
+        const provider = props.NICE_NAME;
+        return {
+            source: 'Esri World Imagery',
+            imageryUsed: provider ? `Esri World Imagery (${provider})` : 'Esri World Imagery'
+        };
+    },
+
+    /**
+     * Build a changeset tag block for a single imagery feature
+     * @param {Object} props - ESRI tile or OAM footprint properties
+     * @returns {string} One key=value tag per line
+     */
+    forFeature(props) {
+        const { source, imageryUsed } = this.getFeatureSource(props);
+        const date = this.getFeatureDate(props);
+
+        const tags = [
+            `source=${source}`,
+            `imagery_used=${imageryUsed}`
+        ];
+        if (date) {
+            tags.push(`source:date=${ImagerySource.formatDate(date)}`);
+        }
+        return tags.join('\n');
+    },
+
+    /**
+     * Build a changeset comment suffix covering the imagery over a project AOI
+     * @param {Array} features - Enriched imagery features (ESRI tiles or OAM footprints)
+     * @param {Object} aoiGeometry - GeoJSON geometry of the project AOI
+     * @returns {string|null} e.g. "imagery: Esri World Imagery 2019-03-02 to 2023-05-12"
+     */
+    forProject(features, aoiGeometry) {
+        const inAoi = (features || []).filter(f =>
+            f.properties.parsedDate && GeoUtils.geometriesIntersect(f.geometry, aoiGeometry)
+        );
+        if (inAoi.length === 0) return null;
+
+        const dates = inAoi.map(f => f.properties.parsedDate).sort((a, b) => a - b);
+        const oldest = ImagerySource.formatDate(dates[0]);
+        const newest = ImagerySource.formatDate(dates[dates.length - 1]);
+        const sources = [...new Set(inAoi.map(f => this.getFeatureSource(f.properties).source))];
+
+        const range = oldest === newest ? oldest : `${oldest} to ${newest}`;
+        return `imagery: ${sources.join(', ')} ${range}`;
+    }
+};
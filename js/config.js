@@ -18,7 +18,8 @@ const CONFIG = {
             name: 'ESRI World Imagery',
             tiles: ['https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}'],
             attribution: 'Tiles &copy; Esri &mdash; Source: Esri, i-cubed, USDA, USGS, AEX, GeoEye, Getmapping, Aerogrid, IGN, IGP, UPR-EGP, and the GIS User Community',
-            maxzoom: 19
+            maxzoom: 19,
+            metadataSource: 'ESRI World Imagery' // Loaded tiles with this source describe this basemap
         },
         'osm': {
             name: 'OpenStreetMap',
@@ -40,22 +41,141 @@ const CONFIG = {
         }
     },
 
-    // Imagery age thresholds (in years)
-    ageThresholds: {
-        fresh: 1,      // < 1 year = green
-        medium: 2,     // 1-2 years = yellow
-        old: 3         // 2-3 years = orange, > 3 = red
+    // Default imagery age classes, youngest first: each holds imagery younger than maxYears
+    // (the last is open-ended). Users can edit them in the legend's settings panel
+    ageClasses: [
+        { maxYears: 1, color: '#22c55e' },      // green
+        { maxYears: 2, color: '#eab308' },      // yellow
+        { maxYears: 3, color: '#f97316' },      // orange
+        { maxYears: null, color: '#ef4444' }    // red
+    ],
+    ageClassLimits: { min: 2, max: 8 },
+
+    // Default colour scheme: stepped class colours or a continuous ramp from 0 to maxYears
+    ageColorScheme: { mode: 'classes', palette: 'green-red', maxYears: 5 },
+
+    // Palettes for the ramp and for colouring classes, youngest colour first
+    agePalettes: {
+        'green-red': { name: 'Green → red', colors: ['#22c55e', '#eab308', '#f97316', '#ef4444'] },
+        'viridis': { name: 'Viridis (colourblind-safe)', colors: ['#fde725', '#5ec962', '#21918c', '#3b528b', '#440154'] },
+        'cividis': { name: 'Cividis (colourblind-safe)', colors: ['#ffea46', '#bcaf6f', '#7c7b78', '#3b496c', '#00224e'] }
     },
 
-    // Colors for imagery age
+    // Colors for imagery without an age class
     ageColors: {
-        fresh: '#22c55e',
-        medium: '#eab308',
-        old: '#f97316',
-        veryOld: '#ef4444',
+        after: '#3b82f6',   // Captured after a past reference date (see "Age measured at")
         unknown: '#9ca3af'
     },
 
+    // "Colour by" themes besides age, for metre values where smaller is better
+    // properties: feature properties read in order (ESRI/Bing SRC_*, OAM/STAC gsd)
+    // classes: best first, each up to and including max (the last is open-ended)
+    // highlight: stats report the area at this value or better
+    themes: {
+        resolution: {
+            name: 'Resolution',
+            unit: 'm',
+            properties: ['SRC_RES', 'gsd'],
+            classes: [
+                { max: 0.3, color: '#08306b' },
+                { max: 0.5, color: '#2171b5' },
+                { max: 1, color: '#6baed6' },
+                { max: null, color: '#c6dbef' }
+            ],
+            highlight: 0.5
+        },
+        accuracy: {
+            name: 'Accuracy',
+            unit: 'm',
+            properties: ['SRC_ACC'],
+            classes: [
+                { max: 1, color: '#3f007d' },
+                { max: 2.5, color: '#6a51a3' },
+                { max: 5, color: '#9e9ac8' },
+                { max: null, color: '#dadaeb' }
+            ],
+            highlight: 2.5
+        }
+    },
+
+    // Area distribution of the selected "colour by" theme over the project AOI or the viewport
+    themeCoverage: {
+        samplePoints: 2000 // Grid cells used to sample the area
+    },
+
+    // Imagery metadata providers offered in the source picker, in order (the first is the default)
+    // Built-ins are registered in js/imagery-providers.js; to add a source, register a provider
+    // with ImageryProviders.register() in a script loaded after it and list its id here
+    imageryProviders: ['esri', 'bing', 'oam', 'stac', 'freshest'],
+
+    // "ESRI + OAM (freshest)" mode: composite grid of the newest imagery from any source
+    freshest: {
+        cellsAcross: 20 // Grid cells across the viewport width
+    },
+
+    // Area-weighted imagery age report for the loaded TM project AOI
+    aoiReport: {
+        samplePoints: 10000 // Grid cells used to clip imagery tiles to the AOI
+    },
+
+    // Per-task imagery age overlay on the TM task grid
+    taskGrid: {
+        samplePoints: 50 // Grid cells per task used to find intersecting imagery
+    },
+
+    // "Scan whole project": sweeps the project bbox in z12-sized cells
+    projectScan: {
+        cellZoom: 12,        // Cell size matches the ESRI fetch zoom
+        confirmAbove: 200    // Ask before scanning more cells than this
+    },
+
+    // Best-imagery recommendation for the loaded TM project
+    recommendation: {
+        samplePoints: 2000,         // Grid cells used to sample the AOI
+        weights: { coverage: 0.4, age: 0.35, resolution: 0.25 },
+        ageHorizonYears: 5,         // Age score falls linearly to zero at this age
+        targetResolution: 0.5,      // Metres; this or finer gets the full resolution score
+        oamMaxZoom: 22,             // Max zoom written into the TM imagery field for OAM TMS
+        maxListed: 10               // Runner-up sources listed under the recommendation
+    },
+
+    // Imagery statistics panel
+    stats: {
+        olderThanYears: 3,          // Report the share of imagery older than this
+        quarterlyMaxYears: 5        // Histogram bins by quarter up to this span, by year beyond
+    },
+
+    // Acquisition-date range filter
+    dateFilter: {
+        monthlyMaxYears: 3          // Histogram bins by month up to this span, by year beyond
+    },
+
+    // Check of a loaded project's configured imagery against the other sources over its AOI
+    projectImagery: {
+        newerThresholdYears: 1,     // Warn when another source is at least this much newer on average
+        minCoverage: 0.5,           // ...and covers at least this share of the AOI
+        checkDelayMs: 1000          // Rerun the check once tiles stop loading for this long
+    },
+
+    // Shared scheduler for imagery metadata requests (ESRI, Wayback, Bing, STAC)
+    requests: {
+        maxConcurrent: 6,           // Requests in flight at once; the rest queue
+        maxRetries: 3,              // Retries of 429 and 5xx responses
+        backoffMs: 500,             // First retry delay, doubling per retry
+        maxBackoffMs: 8000
+    },
+
+    // Persistent browser cache (IndexedDB); "Clear cache" in the sidebar empties it
+    cache: {
+        dbName: 'osm-carbon-date',
+        esriCellZoom: 14,           // ESRI tiles are cached per cell of this zoom level
+        ttlHours: {
+            esri: 24 * 7,           // ESRI tiles and cells
+            oam: 24,                // OAM catalog; revalidated with Last-Modified once expired
+            projects: 1             // TM project JSON
+        }
+    },
+
     // Insta-TM: Cloud-native mirror of HOT Tasking Manager API
     // https://github.com/cgiovando/insta-tm
     tmApi: {
@@ -67,9 +187,56 @@ const CONFIG = {
         // PMTiles: {s3Base}/projects.pmtiles
     },
 
-    // ESRI API - using identify endpoint which returns geometry and works without CORS issues
+    // ESRI World Imagery metadata layer: tiles are queried by object ID in batches, falling back
+    // to the identify endpoint when the query fails
     esri: {
-        identifyUrl: 'https://services.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/identify'
+        queryUrl: 'https://services.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/0/query',
+        identifyUrl: 'https://services.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/identify',
+        batchSize: 100,             // Object IDs per feature query (queries run in parallel)
+        pageSize: 500,              // resultRecordCount; pages follow while the server has more
+        generalizePixels: 0.5,      // Geometry simplified to this many screen pixels at the fetch zoom
+        maxFeatures: 2000,          // Warn "zoom in" rather than load more tiles than this per view
+        // Identify fallback: sample the corners of a grid, refining where they hit different tiles
+        identify: {
+            gridSize: 4,            // Starting grid cells across the view (5x5 corners)
+            maxRequests: 80,        // Request budget per view
+            minCellPixels: 16       // Don't split cells smaller than this many screen pixels
+        }
+    },
+
+    // Esri World Imagery Wayback - historical releases of World Imagery and their metadata
+    wayback: {
+        configUrl: 'https://s3-us-west-2.amazonaws.com/config.maptiles.arcgis.com/waybackconfig.json',
+        pageSize: 1000              // Metadata records per query page (resultRecordCount)
+    },
+
+    // Bing Maps imagery metadata - vintage dates per quadkey tile
+    // Point metadataUrl at a local server replaying recorded responses to test without a key
+    bing: {
+        apiKey: '',                 // Bing Maps key (required)
+        metadataUrl: 'https://dev.virtualearth.net/REST/v1/Imagery/Metadata/Aerial',
+        minZoomForFetch: 12,
+        tileZoomOffset: 2,          // Quadkey tiles are laid out this many levels above the view
+        maxTilesPerView: 64         // Coarsen the tile layout beyond this many tiles
+    },
+
+    // STAC API - searched for item footprints in the viewport
+    // e.g. Earth Search (Sentinel-2, Landsat), or any STAC API serving Maxar Open Data / custom catalogs
+    stac: {
+        apiRoot: 'https://earth-search.aws.element84.com/v1',
+        collections: ['sentinel-2-l2a'],
+        minZoomForFetch: 8,
+        maxAgeYears: 3,             // Only search items acquired within this many years
+        pageLimit: 100,             // Items per search page
+        maxItems: 500,              // Stop paging after this many items per viewport
+        maxCachedItems: 2000,       // Forget the oldest items outside the view beyond this many
+        query: { 'eo:cloud_cover': { lt: 30 } }, // Query extension filter (null to disable)
+        sortby: [{ field: 'properties.datetime', direction: 'desc' }] // Newest first (null to disable)
+    },
+
+    // OSM Editor Layer Index - the background imagery list used by iD and JOSM
+    eli: {
+        url: 'https://osmlab.github.io/editor-layer-index/imagery.geojson'
     },
 
     // OpenAerialMap - static S3 mirror of OAM catalog
@@ -83,6 +250,7 @@ const CONFIG = {
         minZoomForAutoTms: 16,      // Auto-load TMS raster at z16+
         maxThumbnails: 50,          // Max concurrent thumbnail image sources
         maxAutoTms: 10,             // Max concurrent auto-loaded TMS sources
+        upgradeSamplePoints: 400,   // Grid cells per image when comparing it to ESRI tiles
         colors: {
             fill: 'rgba(0, 188, 212, 0.15)',   // Cyan fill for PMTiles overview
             stroke: '#00bcd4',                   // Cyan stroke
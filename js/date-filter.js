@@ -0,0 +1,136 @@
+/**
+ * Acquisition-date range filter for osm-carbon-date
+ * Date extent and histogram of loaded imagery, and the map layer filter for a date range
+ * Ranges are { start, end } as inclusive YYYY-MM-DD strings (either may be null for open-ended)
+ */
+
+const DateFilter = {
+    // Map layers the range applies to (all carry formattedDate as YYYY-MM-DD)
+    layers: [
+        'imagery-fill', 'imagery-outline', 'imagery-labels',
+        'oam-footprints-fill', 'oam-footprints-outline', 'oam-labels',
+        'stac-footprints-fill', 'stac-footprints-outline', 'stac-labels'
+    ],
+
+    /**
+     * Get the earliest and latest capture dates of a set of features
+     * @returns {Object|null} { min, max } Dates, or null when no feature has a date
+     */
+    getExtent(features) {
+        let min = null;
+        let max = null;
+        for (const f of features) {
+            const date = f.properties.parsedDate;
+            if (!date) continue;
+            if (!min || date < min) min = date;
+            if (!max || date > max) max = date;
+        }
+        return min ? { min, max } : null;
+    },
+
+    /**
+     * Count features per year, quarter or month
+     * @param {string} unit - Defaults to month when the extent spans up to CONFIG.dateFilter.monthlyMaxYears, year beyond
+     * @returns {Object|null} { unit: 'year'|'quarter'|'month', bins: [{ label, start, end, count }] }
+     *   start/end are the bin's first and last day as YYYY-MM-DD
+     */
+    buildHistogram(features, extent, unit = null) {
+        if (!extent) return null;
+
+        if (!unit) {
+            const spanYears = extent.max.getFullYear() - extent.min.getFullYear();
+            unit = spanYears <= CONFIG.dateFilter.monthlyMaxYears ? 'month' : 'year';
+        }
+
+        const bins = [];
+        const byLabel = new Map();
+        const cursor = this._binStart(extent.min, unit);
+
+        while (cursor <= extent.max) {
+            const next = this._binStart(cursor, unit, 1);
+            const bin = {
+                label: this._binLabel(cursor, unit),
+                start: ImagerySource.formatDate(cursor),
+                end: ImagerySource.formatDate(new Date(next - 24 * 60 * 60 * 1000)),
+                count: 0
+            };
+            bins.push(bin);
+            byLabel.set(bin.label, bin);
+            cursor.setTime(next.getTime());
+        }
+
+        for (const f of features) {
+            const date = f.properties.parsedDate;
+            if (!date) continue;
+            const bin = byLabel.get(this._binLabel(date, unit));
+            if (bin) bin.count++;
+        }
+
+        return { unit, bins };
+    },
+
+    /**
+     * Whether feature properties fall inside a range (features without a date never do)
+     */
+    matches(props, range) {
+        if (!range) return true;
+        const date = props.formattedDate;
+        if (!date || date === 'Unknown') return false;
+        return (!range.start || date >= range.start) && (!range.end || date <= range.end);
+    },
+
+    /**
+     * Whether the days start..end (YYYY-MM-DD, e.g. a histogram bin) overlap a range
+     */
+    overlaps(start, end, range) {
+        if (!range) return true;
+        return (!range.start || end >= range.start) && (!range.end || start <= range.end);
+    },
+
+    /**
+     * MapLibre filter expression for a range (null when the range is empty)
+     * YYYY-MM-DD strings compare in date order
+     */
+    toLayerFilter(range) {
+        if (!range || (!range.start && !range.end)) return null;
+
+        const date = ['get', 'formattedDate'];
+        const filter = ['all', ['!=', date, 'Unknown']];
+        if (range.start) filter.push(['>=', date, range.start]);
+        if (range.end) filter.push(['<=', date, range.end]);
+        return filter;
+    },
+
+    /**
+     * Apply a range to the filtered map layers (null clears it)
+     */
+    apply(map, range) {
+        const filter = this.toLayerFilter(range);
+        for (const id of this.layers) {
+            if (map.getLayer(id)) map.setFilter(id, filter);
+        }
+    },
+
+    // ---- Internal helpers ----
+
+    /**
+     * First day of the year/quarter/month bin holding a date, or of a later bin
+     * @param {number} offset - Bins to move forward
+     */
+    _binStart(date, unit, offset = 0) {
+        if (unit === 'year') return new Date(date.getFullYear() + offset, 0, 1);
+        const months = unit === 'quarter' ? 3 : 1;
+        const month = Math.floor(date.getMonth() / months) * months;
+        return new Date(date.getFullYear(), month + offset * months, 1);
+    },
+
+    /**
+     * Bin label of a date: "2023", "2023 Q2" or "2023-05"
+     */
+    _binLabel(date, unit) {
+        const formatted = ImagerySource.formatDate(date);
+        if (unit === 'year') return formatted.slice(0, 4);
+        if (unit === 'quarter') return `${formatted.slice(0, 4)} Q${Math.floor(date.getMonth() / 3) + 1}`;
+        return formatted.slice(0, 7);
+    }
+};
@@ -0,0 +1,165 @@
+/**
+ * OSM Editor Layer Index (ELI) integration for osm-carbon-date
+ * Lists the background imagery layers iD and JOSM offer for a point or area
+ * https://github.com/osmlab/editor-layer-index
+ */
+
+const EliSource = {
+    // All background layers (overlays excluded), each with a precomputed bbox
+    _layers: [],
+    // Whether the index has been loaded
+    _loaded: false,
+
+    /**
+     * Load the editor-layer-index imagery.geojson
+     * @returns {Promise<Array>} Background layer features
+     */
+    async load() {
+        if (this._loaded) return this._layers;
+
+        const response = await fetch(CONFIG.eli.url);
+        if (!response.ok) {
+            throw new Error(`Failed to load Editor Layer Index: HTTP ${response.status}`);
+        }
+
+        const geojson = await response.json();
+        this._layers = (geojson.features || [])
+            .filter(f => f.properties && !f.properties.overlay)
+            .map(f => ({ ...f, bbox: GeoUtils.getBbox(f.geometry) }));
+
+        this._loaded = true;
+        console.log(`Loaded ${this._layers.length} Editor Layer Index layers`);
+        return this._layers;
+    },
+
+    /**
+     * List layers covering a point (layers without geometry cover the whole world)
+     * @returns {Array} Layer summaries, best and newest first
+     */
+    layersAt(lon, lat) {
+        const matches = this._layers.filter(f => {
+            if (!f.geometry) return true;
+            return GeoUtils.bboxContains(f.bbox, lon, lat) && GeoUtils.pointInGeometry(lon, lat, f.geometry);
+        });
+        return this._summarize(matches);
+    },
+
+    /**
+     * List layers intersecting an area (e.g. a TM project AOI)
+     * @returns {Array} Layer summaries, best and newest first
+     */
+    layersForGeometry(geometry) {
+        const bbox = GeoUtils.getBbox(geometry);
+        if (!bbox) return [];
+
+        const matches = this._layers.filter(f => {
+            if (!f.geometry) return true;
+            return GeoUtils.bboxIntersects(f.bbox, bbox) && GeoUtils.geometriesIntersect(f.geometry, geometry);
+        });
+        return this._summarize(matches);
+    },
+
+    /**
+     * Convert an ELI layer into a CONFIG.basemaps entry, if MapLibre can display it
+     * TMS: {zoom} -> {z}, {-y} -> TMS scheme, {switch:a,b} -> one URL per subdomain
+     * WMS: requested as 256px EPSG:3857 tiles via {bbox-epsg-3857}
+     * @returns {Object|null} { name, tiles, scheme, attribution, maxzoom, dark }
+     */
+    toBasemap(layer) {
+        const p = layer.properties;
+        if (!p.url) return null;
+
+        let url = p.url;
+        let scheme = 'xyz';
+
+        if (p.type === 'tms') {
+            url = url.replace(/\{zoom\}/g, '{z}');
+            if (url.includes('{-y}')) {
+                url = url.replace(/\{-y\}/g, '{y}');
+                scheme = 'tms';
+            }
+        } else if (p.type === 'wms') {
+            if (p.available_projections && !p.available_projections.includes('EPSG:3857')) return null;
+            url = url
+                .replace(/\{proj\}/g, 'EPSG:3857')
+                .replace(/\{bbox\}/g, '{bbox-epsg-3857}')
+                .replace(/\{width\}/g, '256')
+                .replace(/\{height\}/g, '256');
+        } else {
+            return null;
+        }
+
+        // Expand {switch:a,b,c} into one URL per subdomain
+        let tiles = [url];
+        const switchMatch = /\{switch:([^}]+)\}/.exec(url);
+        if (switchMatch) {
+            tiles = switchMatch[1].split(',').map(sub => url.replace(switchMatch[0], sub.trim()));
+        }
+
+        // Anything still templated (API keys, {ty}, ...) can't be filled in here
+        const leftover = tiles[0].replace(/\{(z|x|y|bbox-epsg-3857)\}/g, '');
+        if (/\{[^}]*\}/.test(leftover)) return null;
+
+        // Map attributions are rendered as HTML; the index is remote, so escape it
+        const text = TextUtils.escapeHtml(p.attribution?.text || '');
+        const attributionUrl = this._httpUrl(p.attribution?.url);
+
+        return {
+            name: p.name,
+            tiles: tiles,
+            scheme: scheme,
+            attribution: attributionUrl && text ? `<a href="${TextUtils.escapeHtml(attributionUrl)}" target="_blank" rel="noopener">${text}</a>` : text,
+            maxzoom: p.max_zoom || 19,
+            dark: p.category === 'photo' || p.category === 'historicphoto'
+        };
+    },
+
+    /**
+     * Find a loaded layer by ELI id
+     */
+    getLayer(id) {
+        return this._layers.find(f => f.properties.id === id) || null;
+    },
+
+    // ---- Internal helpers ----
+
+    /**
+     * A link from the index if it is http(s), else null (no javascript: or other schemes)
+     */
+    _httpUrl(value) {
+        try {
+            const url = new URL(value);
+            return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Summarise matching layers for display, best imagery first, then newest
+     */
+    _summarize(layers) {
+        return layers
+            .map(f => {
+                const p = f.properties;
+                return {
+                    id: p.id,
+                    name: p.name,
+                    type: p.type,
+                    startDate: p.start_date || null,
+                    endDate: p.end_date || null,
+                    best: !!p.best,
+                    license: p.license || null,
+                    licenseUrl: this._httpUrl(p.license_url),
+                    maxZoom: p.max_zoom || null,
+                    attribution: p.attribution?.text || '',
+                    usable: this.toBasemap(f) !== null
+                };
+            })
+            .sort((a, b) =>
+                (b.best - a.best) ||
+                (b.endDate || b.startDate || '').localeCompare(a.endDate || a.startDate || '') ||
+                a.name.localeCompare(b.name)
+            );
+    }
+};
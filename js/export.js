@@ -0,0 +1,329 @@
+/**
+ * Export of fetched imagery metadata for osm-carbon-date
+ * Serialises imagery tiles and footprints as GeoJSON, CSV (WKT geometry) or KML
+ */
+
+const ImageryExport = {
+    // CRC-32 lookup table for zip(), built on first use
+    _crcTable: null,
+
+    // Supported formats: file extension and MIME type
+    formats: {
+        geojson: { extension: 'geojson', mimeType: 'application/geo+json' },
+        csv: { extension: 'csv', mimeType: 'text/csv' },
+        kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' }
+    },
+
+    /**
+     * Flatten an enriched ESRI/Bing tile, OAM footprint or STAC item into the exported attribute set
+     * @returns {Object} { id, source, date, age_years, age_class, resolution_m, accuracy_m, provider }
+     */
+    toRecord(feature) {
+        const p = feature.properties;
+        const isFootprint = p.source === 'OpenAerialMap' || p.source === 'STAC';
+
+        let id = p.OBJECTID;
+        let provider = p.NICE_NAME;
+        if (p.source === 'OpenAerialMap') {
+            id = p._oamId;
+            provider = p.provider;
+        } else if (p.source === 'STAC') {
+            id = p._stacId;
+            provider = p.constellation || p.collection;
+        }
+
+        return {
+            id: id,
+            source: p.source || '',
+            date: p.parsedDate ? ImagerySource.formatDate(p.parsedDate) : '',
+            age_years: typeof p.ageYears === 'number' ? Number(p.ageYears.toFixed(2)) : '',
+            age_class: this._ageClassLabel(p.ageClass),
+            resolution_m: (isFootprint ? p.gsd : p.SRC_RES) ?? '',
+            accuracy_m: (isFootprint ? '' : p.SRC_ACC) ?? '',
+            provider: provider || ''
+        };
+    },
+
+    /**
+     * Serialise features in the given format
+     * @param {Array} features - Enriched imagery features
+     * @param {string} format - 'geojson', 'csv' or 'kml'
+     * @returns {string}
+     */
+    serialize(features, format) {
+        if (format === 'csv') return this.toCsv(features);
+        if (format === 'kml') return this.toKml(features);
+        return this.toGeoJson(features);
+    },
+
+    /**
+     * GeoJSON FeatureCollection with flat, JSON-safe properties
+     * Tiles packing several outer rings into one Polygon are written as MultiPolygons
+     */
+    toGeoJson(features) {
+        return JSON.stringify({
+            type: 'FeatureCollection',
+            features: features.map(f => ({
+                type: 'Feature',
+                properties: this.toRecord(f),
+                geometry: this._splitGeometry(f.geometry)
+            }))
+        });
+    },
+
+    /**
+     * CSV with one row per feature and the geometry as WKT
+     */
+    toCsv(features) {
+        const columns = ['id', 'source', 'date', 'age_years', 'age_class', 'resolution_m', 'accuracy_m', 'provider', 'wkt'];
+        const escape = (value) => {
+            const text = String(value ?? '');
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = features.map(f => {
+            const record = { ...this.toRecord(f), wkt: this.toWkt(f.geometry) };
+            return columns.map(c => escape(record[c])).join(',');
+        });
+
+        return [columns.join(','), ...rows].join('\n');
+    },
+
+    /**
+     * KML document with one styled Placemark per feature
+     */
+    toKml(features) {
+        const placemarks = features.map(f => {
+            const record = this.toRecord(f);
+            const data = Object.entries(record)
+                .map(([key, value]) => `<Data name="${key}"><value>${TextUtils.escapeHtml(value)}</value></Data>`)
+                .join('');
+
+            return `
+    <Placemark>
+        <name>${TextUtils.escapeHtml(record.date || 'Unknown')}</name>
+        <Style>
+            <LineStyle><color>${this._kmlColor(f.properties.ageColor, 'ff')}</color><width>2</width></LineStyle>
+            <PolyStyle><color>${this._kmlColor(f.properties.ageColor, '59')}</color></PolyStyle>
+        </Style>
+        <ExtendedData>${data}</ExtendedData>
+        ${this._kmlGeometry(f.geometry)}
+    </Placemark>`;
+        }).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+<Document>
+    <name>osm-carbon-date imagery metadata</name>${placemarks}
+</Document>
+</kml>`;
+    },
+
+    /**
+     * Convert a Polygon/MultiPolygon geometry to WKT
+     */
+    toWkt(geometry) {
+        const split = this._splitGeometry(geometry);
+        if (!split) return '';
+
+        const ring = (coords) => `(${coords.map(c => `${c[0]} ${c[1]}`).join(', ')})`;
+        const polygon = (rings) => `(${rings.map(ring).join(', ')})`;
+
+        if (split.type === 'Polygon') return `POLYGON ${polygon(split.coordinates)}`;
+        if (split.type === 'MultiPolygon') return `MULTIPOLYGON (${split.coordinates.map(polygon).join(', ')})`;
+        return '';
+    },
+
+    /**
+     * Bundle files into one uncompressed ZIP archive (e.g. PNG frames, which are already compressed)
+     * @param {Array} files - [{ name, data: Uint8Array }]
+     * @returns {Blob} application/zip
+     */
+    zip(files) {
+        const encoder = new TextEncoder();
+        const { time, date } = this._dosDateTime(new Date());
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const crc = this._crc32(file.data);
+
+            // Local file header: stored (method 0), UTF-8 name (flag bit 11)
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, file.data.length, true);
+            local.setUint32(22, file.data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            parts.push(local, name, file.data);
+
+            // Central directory entry pointing back at the local header
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, file.data.length, true);
+            entry.setUint32(24, file.data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(entry, name);
+
+            offset += 30 + name.length + file.data.length;
+        }
+
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end], { type: 'application/zip' });
+    },
+
+    /**
+     * Trigger a browser download of the given text content (or Blob, e.g. a PNG frame)
+     */
+    download(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Revoking straight after click() can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+    },
+
+    // ---- Internal helpers ----
+
+    /**
+     * CRC-32 (as used by ZIP) of bytes
+     */
+    _crc32(bytes) {
+        if (!this._crcTable) {
+            this._crcTable = Array.from({ length: 256 }, (_, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+                return c >>> 0;
+            });
+        }
+
+        let crc = 0xffffffff;
+        for (const byte of bytes) crc = this._crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    },
+
+    /**
+     * MS-DOS time and date fields of a ZIP entry (local time, 2-second resolution)
+     */
+    _dosDateTime(d) {
+        return {
+            time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+            date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+        };
+    },
+
+    /**
+     * KML Polygon/MultiGeometry markup for a GeoJSON geometry
+     */
+    _kmlGeometry(geometry) {
+        const split = this._splitGeometry(geometry);
+        if (!split) return '';
+
+        const ring = (coords) => `<LinearRing><coordinates>${coords.map(c => `${c[0]},${c[1]}`).join(' ')}</coordinates></LinearRing>`;
+        const polygon = (rings) => {
+            const [outer, ...holes] = rings;
+            return `<Polygon><outerBoundaryIs>${ring(outer)}</outerBoundaryIs>` +
+                holes.map(h => `<innerBoundaryIs>${ring(h)}</innerBoundaryIs>`).join('') +
+                '</Polygon>';
+        };
+
+        if (split.type === 'Polygon') return polygon(split.coordinates);
+        if (split.type === 'MultiPolygon') {
+            return `<MultiGeometry>${split.coordinates.map(polygon).join('')}</MultiGeometry>`;
+        }
+        return '';
+    },
+
+    /**
+     * Regroup the rings of a Polygon/MultiPolygon into polygons of one outer ring and its holes
+     * ESRI tiles pack several outer rings into one Polygon (see GeoUtils.pointInRings): rings wound
+     * like the first ring are outer rings, the others holes of the outer ring containing them.
+     * @returns {Object|null} Polygon, or MultiPolygon when there are several outer rings; other geometries unchanged
+     */
+    _splitGeometry(geometry) {
+        if (!geometry) return null;
+        if (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon') return geometry;
+
+        const polygons = [];
+        const parts = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+        for (const rings of parts) {
+            if (rings.length === 0) continue;
+            const outerClockwise = this._ringArea(rings[0]) < 0;
+            const outers = [];
+
+            for (const ring of rings) {
+                if ((this._ringArea(ring) < 0) === outerClockwise) {
+                    outers.push([ring]);
+                    continue;
+                }
+                const [lon, lat] = ring[0];
+                const owner = outers.find(p => GeoUtils.pointInRing(lon, lat, p[0])) || outers[outers.length - 1];
+                owner.push(ring);
+            }
+            polygons.push(...outers);
+        }
+
+        if (polygons.length === 0) return null;
+        return polygons.length === 1
+            ? { type: 'Polygon', coordinates: polygons[0] }
+            : { type: 'MultiPolygon', coordinates: polygons };
+    },
+
+    /**
+     * Signed (shoelace) area of a ring in degrees²: positive counter-clockwise, negative clockwise
+     */
+    _ringArea(ring) {
+        let area = 0;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            area += (ring[j][0] * ring[i][1]) - (ring[i][0] * ring[j][1]);
+        }
+        return area / 2;
+    },
+
+    /**
+     * Display label of an age class key (e.g. "1–2 years"), 'unknown' for undated imagery
+     */
+    _ageClassLabel(key) {
+        const ageClass = ImagerySource.getAgeClassDefinitions().find(c => c.key === key);
+        return ageClass && key ? ageClass.label : 'unknown';
+    },
+
+    /**
+     * Convert #rrggbb to KML's aabbggrr colour order
+     */
+    _kmlColor(hex, alpha) {
+        const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+        if (!match) return `${alpha}888888`;
+        return `${alpha}${match[3]}${match[2]}${match[1]}`;
+    }
+};
@@ -0,0 +1,263 @@
+/**
+ * Lightweight geometry helpers for osm-carbon-date
+ * Works on plain GeoJSON Polygon/MultiPolygon geometries in EPSG:4326
+ */
+
+const GeoUtils = {
+    // Kilometres per degree of latitude (and of longitude at the equator)
+    KM_PER_DEGREE: 111.32,
+
+    /**
+     * Calculate bounding box from a GeoJSON geometry
+     * @returns {Array|null} [west, south, east, north]
+     */
+    getBbox(geometry) {
+        if (!geometry || !geometry.coordinates) return null;
+
+        let minLon = Infinity, minLat = Infinity;
+        let maxLon = -Infinity, maxLat = -Infinity;
+
+        const process = (coords) => {
+            if (typeof coords[0] === 'number') {
+                minLon = Math.min(minLon, coords[0]);
+                maxLon = Math.max(maxLon, coords[0]);
+                minLat = Math.min(minLat, coords[1]);
+                maxLat = Math.max(maxLat, coords[1]);
+            } else {
+                coords.forEach(process);
+            }
+        };
+
+        process(geometry.coordinates);
+
+        if (!isFinite(minLon)) return null;
+        return [minLon, minLat, maxLon, maxLat];
+    },
+
+    /**
+     * Check whether a point lies inside a bbox
+     */
+    bboxContains(bbox, lon, lat) {
+        return lon >= bbox[0] && lon <= bbox[2] && lat >= bbox[1] && lat <= bbox[3];
+    },
+
+    /**
+     * Check whether two bboxes overlap
+     */
+    bboxIntersects(a, b) {
+        return a[0] < b[2] && a[2] > b[0] && a[1] < b[3] && a[3] > b[1];
+    },
+
+    /**
+     * Ray-casting test against a single ring
+     */
+    pointInRing(lon, lat, ring) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > lat) !== (yj > lat) &&
+                lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    },
+
+    /**
+     * Point-in-polygon test using the even-odd rule over all rings
+     * Handles holes, and also ESRI polygons that pack several outer rings together
+     */
+    pointInRings(lon, lat, rings) {
+        let inside = false;
+        for (const ring of rings) {
+            if (this.pointInRing(lon, lat, ring)) inside = !inside;
+        }
+        return inside;
+    },
+
+    /**
+     * Point-in-geometry test for Polygon and MultiPolygon geometries
+     */
+    pointInGeometry(lon, lat, geometry) {
+        if (!geometry || !geometry.coordinates) return false;
+
+        if (geometry.type === 'Polygon') {
+            return this.pointInRings(lon, lat, geometry.coordinates);
+        }
+        if (geometry.type === 'MultiPolygon') {
+            return geometry.coordinates.some(rings => this.pointInRings(lon, lat, rings));
+        }
+        return false;
+    },
+
+    /**
+     * Check whether two segments (a1-a2, b1-b2) cross
+     */
+    segmentsIntersect(a1, a2, b1, b2) {
+        const cross = (o, p, q) => (p[0] - o[0]) * (q[1] - o[1]) - (p[1] - o[1]) * (q[0] - o[0]);
+        const d1 = cross(b1, b2, a1);
+        const d2 = cross(b1, b2, a2);
+        const d3 = cross(a1, a2, b1);
+        const d4 = cross(a1, a2, b2);
+        return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+    },
+
+    /**
+     * Check whether a bbox intersects a Polygon/MultiPolygon geometry
+     * True if the geometry has a vertex in the box, the box has a corner in the
+     * geometry, or any geometry edge crosses a box edge.
+     */
+    bboxIntersectsGeometry(bbox, geometry) {
+        const geomBbox = this.getBbox(geometry);
+        if (!geomBbox || !this.bboxIntersects(bbox, geomBbox)) return false;
+
+        const [west, south, east, north] = bbox;
+        const corners = [[west, south], [east, south], [east, north], [west, north]];
+        if (corners.some(([lon, lat]) => this.pointInGeometry(lon, lat, geometry))) return true;
+
+        const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+        for (const rings of polygons) {
+            for (const ring of rings) {
+                for (let i = 0; i < ring.length; i++) {
+                    const a = ring[i];
+                    if (this.bboxContains(bbox, a[0], a[1])) return true;
+
+                    const b = ring[(i + 1) % ring.length];
+                    for (let k = 0; k < 4; k++) {
+                        if (this.segmentsIntersect(a, b, corners[k], corners[(k + 1) % 4])) return true;
+                    }
+                }
+            }
+        }
+        return false;
+    },
+
+    /**
+     * Check whether two Polygon/MultiPolygon geometries intersect
+     * True if either has a vertex inside the other, or any of their edges cross.
+     */
+    geometriesIntersect(a, b) {
+        const bboxA = this.getBbox(a);
+        const bboxB = this.getBbox(b);
+        if (!bboxA || !bboxB || !this.bboxIntersects(bboxA, bboxB)) return false;
+
+        const ringsOf = (g) => (g.type === 'MultiPolygon' ? g.coordinates : [g.coordinates]).flat();
+        const ringsA = ringsOf(a);
+        const ringsB = ringsOf(b);
+
+        if (ringsA.some(ring => ring.some(([lon, lat]) => this.pointInGeometry(lon, lat, b)))) return true;
+        if (ringsB.some(ring => ring.some(([lon, lat]) => this.pointInGeometry(lon, lat, a)))) return true;
+
+        for (const ringA of ringsA) {
+            for (let i = 0; i < ringA.length - 1; i++) {
+                for (const ringB of ringsB) {
+                    for (let j = 0; j < ringB.length - 1; j++) {
+                        if (this.segmentsIntersect(ringA[i], ringA[i + 1], ringB[j], ringB[j + 1])) return true;
+                    }
+                }
+            }
+        }
+        return false;
+    },
+
+    /**
+     * List the slippy-map (XYZ) tile coordinates covering a bbox at a zoom level
+     * @param {Array} bbox - [west, south, east, north]
+     * @param {number} zoom
+     * @returns {Array} [{ x, y, z }]
+     */
+    tileCoordsInBbox(bbox, zoom) {
+        const n = Math.pow(2, zoom);
+        const lonToX = (lon) => Math.floor((lon + 180) / 360 * n);
+        const latToY = (lat) => {
+            const rad = lat * Math.PI / 180;
+            return Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * n);
+        };
+        const clamp = (v) => Math.min(Math.max(v, 0), n - 1);
+
+        const minX = clamp(lonToX(bbox[0]));
+        const maxX = clamp(lonToX(bbox[2]));
+        const minY = clamp(latToY(bbox[3]));
+        const maxY = clamp(latToY(bbox[1]));
+
+        const tiles = [];
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                tiles.push({ x, y, z: zoom });
+            }
+        }
+        return tiles;
+    },
+
+    /**
+     * Get the bbox of a slippy-map (XYZ) tile
+     * @returns {Array} [west, south, east, north]
+     */
+    tileToBbox(x, y, z) {
+        const n = Math.pow(2, z);
+        const xToLon = (tx) => tx / n * 360 - 180;
+        const yToLat = (ty) => Math.atan(Math.sinh(Math.PI * (1 - 2 * ty / n))) * 180 / Math.PI;
+        return [xToLon(x), yToLat(y + 1), xToLon(x + 1), yToLat(y)];
+    },
+
+    /**
+     * List the slippy-map (XYZ) tiles covering a bbox at a zoom level
+     * @param {Array} bbox - [west, south, east, north]
+     * @param {number} zoom
+     * @returns {Array} Tile bounds as [west, south, east, north]
+     */
+    tilesInBbox(bbox, zoom) {
+        return this.tileCoordsInBbox(bbox, zoom).map(t => this.tileToBbox(t.x, t.y, t.z));
+    },
+
+    /**
+     * Convert a bbox to a closed GeoJSON Polygon
+     */
+    bboxToPolygon(bbox) {
+        const [west, south, east, north] = bbox;
+        return {
+            type: 'Polygon',
+            coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+        };
+    },
+
+    /**
+     * Sample a geometry on a regular lon/lat grid
+     * Each returned point carries the approximate area (km²) of the grid cell it stands for,
+     * so summing point areas gives an area estimate for whatever the points fall into.
+     * @param {Object} geometry - GeoJSON Polygon/MultiPolygon
+     * @param {number} targetPoints - Approximate number of grid cells over the bbox
+     * @returns {Array} [{ lon, lat, areaKm2 }]
+     */
+    sampleGeometry(geometry, targetPoints = 10000) {
+        const bbox = this.getBbox(geometry);
+        if (!bbox) return [];
+
+        const [west, south, east, north] = bbox;
+        const width = east - west;
+        const height = north - south;
+        if (width <= 0 || height <= 0) return [];
+
+        // Keep grid cells roughly square on the ground
+        const midLatCos = Math.cos(((south + north) / 2) * Math.PI / 180);
+        const nx = Math.max(1, Math.round(Math.sqrt(targetPoints * (width * midLatCos) / height)));
+        const ny = Math.max(1, Math.round(targetPoints / nx));
+        const stepLon = width / nx;
+        const stepLat = height / ny;
+        const cellHeightKm = stepLat * this.KM_PER_DEGREE;
+
+        const points = [];
+        for (let j = 0; j < ny; j++) {
+            const lat = south + stepLat * (j + 0.5);
+            const cellAreaKm2 = cellHeightKm * stepLon * this.KM_PER_DEGREE * Math.cos(lat * Math.PI / 180);
+            for (let i = 0; i < nx; i++) {
+                const lon = west + stepLon * (i + 0.5);
+                if (this.pointInGeometry(lon, lat, geometry)) {
+                    points.push({ lon, lat, areaKm2: cellAreaKm2 });
+                }
+            }
+        }
+        return points;
+    }
+};
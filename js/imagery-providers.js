@@ -0,0 +1,555 @@
+/**
+ * Imagery metadata providers for osm-carbon-date
+ * Adapts each metadata source (ESRI, Bing, OAM, STAC, ...) to one contract the app drives,
+ * so a new source is a registered provider listed in CONFIG.imageryProviders
+ *
+ * Provider contract (members marked optional may be omitted):
+ *   id                              Key used in CONFIG.imageryProviders and the source picker
+ *   name                            Label shown in the source picker
+ *   itemLabel                       Stats label for the feature count, e.g. 'Tiles loaded'
+ *   layers                          Map layer IDs shown while the provider is selected
+ *   clickLayer                      Map layer whose features open the info popup/panel
+ *   infoDisplay, infoTitle          'popup' or 'panel', and its heading
+ *   tileLayer                       true if features go into the shared imagery tile layers
+ *   tileSource                      Optional: id of the tile provider whose tiles it shows (defaults to id)
+ *   getMinZoom()                    Minimum zoom at which new metadata is fetched
+ *   activate(ctx)                   Optional one-off loading on selection; resolves false to abort
+ *   fetchForBounds(bounds, zoom, ctx)  Fetch and display metadata for the viewport; requests should go
+ *                                   through RequestScheduler with ctx.getViewportSignal(), which is
+ *                                   aborted once the viewport changes
+ *   enrich(feature)                 Feature with age attributes (re)derived from its capture date
+ *   getFeatures(bounds, ctx)        Enriched features for a bbox (stats, export, task grid)
+ *   getFeature(props)               Optional: full enriched feature for map-rendered properties
+ *   select(feature, ctx)            Optional: highlight a clicked feature
+ *   formatInfo(feature)             HTML rows for a clicked feature
+ *   getPageLink(props)              Optional: { url, label } of the feature's catalogue page
+ *   calculateStats(features)        Optional: defaults to ImagerySource.calculateStats
+ *   formatStats(ctx)                Optional: extra stats panel HTML
+ *   getConfigError()                Optional: message when the provider can't fetch (e.g. no API key)
+ *   getZoomMessage(zoom, ctx)       Optional: zoom hint, '' when none
+ *   refreshAges()                   Optional: recompute ages of cached features after the age reference
+ *                                   date or age classes change (shared tile features are refreshed by the app)
+ *   cleanup(ctx)                    Drop displayed data when another provider is selected
+ *
+ * ctx is supplied by the app: { map, isActive(id), setLayersVisible(ids, visible), setLoading(bool),
+ *   setCatalogLoading(bool), getTileFeatures(), addTileFeatures(features), updateStats(),
+ *   getViewportSignal() }; isActive(id) is true for the selected provider and the tile provider
+ *   whose tiles it shows
+ */
+
+const ImageryProviders = {
+    // Registered providers by id
+    _providers: new Map(),
+
+    /**
+     * Register a provider (see the contract above)
+     * @returns {Object} The provider
+     */
+    register(provider) {
+        this._providers.set(provider.id, provider);
+        return provider;
+    },
+
+    /**
+     * Get an enabled provider by id
+     * @returns {Object|null}
+     */
+    get(id) {
+        if (!CONFIG.imageryProviders.includes(id)) return null;
+        return this._providers.get(id) || null;
+    },
+
+    /**
+     * Get a registered provider by id, whether or not it is offered in the picker
+     * (for providers built on top of others)
+     * @returns {Object|null}
+     */
+    getRegistered(id) {
+        return this._providers.get(id) || null;
+    },
+
+    /**
+     * Get the providers enabled in CONFIG.imageryProviders, in that order
+     */
+    getEnabled() {
+        return CONFIG.imageryProviders
+            .map(id => {
+                const provider = this._providers.get(id);
+                if (!provider) console.warn(`Unknown imagery provider in CONFIG.imageryProviders: ${id}`);
+                return provider;
+            })
+            .filter(Boolean);
+    },
+
+    /**
+     * Create a provider drawing into the shared imagery tile layers (ESRI, Bing)
+     * The spec supplies fetchMetadata(bounds, zoom, signal), resolving to a FeatureCollection
+     * (or rejecting with an AbortError once signal fires), and enrich(feature); tiles accumulate
+     * in the tile layers while panning
+     */
+    createTileProvider(spec) {
+        return {
+            tileLayer: true,
+            itemLabel: 'Tiles loaded',
+            layers: ['imagery-fill', 'imagery-outline', 'imagery-highlight', 'imagery-labels'],
+            clickLayer: 'imagery-fill',
+            infoDisplay: 'popup',
+            infoTitle: 'Imagery Tile',
+
+            async fetchForBounds(bounds, zoom, ctx) {
+                // Between display and fetch zoom only the cached tiles are shown
+                if (zoom < CONFIG.map.minZoomForImageryDisplay || zoom < this.getMinZoom()) return;
+
+                ctx.setLoading(true);
+                try {
+                    const data = await this.fetchMetadata(bounds, zoom, ctx.getViewportSignal());
+                    // Source may have been switched while the tiles were loading
+                    if (!ctx.isActive(this.id)) return;
+                    if (data.error) {
+                        console.warn('Error loading imagery metadata:', data.message);
+                    } else if (data.features) {
+                        ctx.addTileFeatures(data.features);
+                    }
+                } catch (error) {
+                    // The view moved on; the newer viewport's fetch takes over
+                    if (!RequestScheduler.isAbortError(error)) throw error;
+                } finally {
+                    ctx.setLoading(false);
+                }
+            },
+
+            // Every loaded tile counts, not just those in view
+            getFeatures(bounds, ctx) {
+                return ctx.getTileFeatures();
+            },
+
+            getZoomMessage(zoom, ctx) {
+                const minDisplay = CONFIG.map.minZoomForImageryDisplay;
+                const minFetch = this.getMinZoom();
+
+                if (zoom >= minFetch) return '';
+                if (zoom >= minDisplay && ctx.getTileFeatures().length > 0) {
+                    return `Viewing cached ${this.shortName} data. Zoom to ${minFetch}+ to fetch new.`;
+                }
+                return `Zoom to ${minFetch}+ to fetch ${this.shortName} metadata`;
+            },
+
+            formatInfo(feature) {
+                const p = feature.properties;
+                const rows = [
+                    ['Date', p.formattedDate],
+                    ['Source', p.NICE_NAME || p.source || 'Unknown'],
+                    ['Vintage', p.vintageStart ? `${p.vintageStart} – ${p.vintageEnd || 'Unknown'}` : null],
+                    ['As of Wayback release', p.waybackRelease],
+                    ['Resolution', p.SRC_RES ? `${p.SRC_RES}m` : null],
+                    ['Accuracy', p.SRC_ACC ? `${p.SRC_ACC}m` : null]
+                ];
+                return ImageryProviders._formatRows(rows, 'popup');
+            },
+
+            // Tiles stay in the shared layers until another tile provider is selected
+            cleanup(ctx) {},
+
+            ...spec
+        };
+    },
+
+    // ---- Internal helpers ----
+
+    /**
+     * Format label/value rows, skipping empty values
+     * Labels and values are text (often from remote catalogs) and are escaped here
+     * @param {Array} rows - [[label, value]]
+     * @param {string} style - 'popup' or 'info' (panel) row classes
+     */
+    _formatRows(rows, style) {
+        return rows
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([label, value]) => `
+                <div class="${style}-row">
+                    <span class="${style}-label">${TextUtils.escapeHtml(label)}</span>
+                    <span class="${style}-value">${TextUtils.escapeHtml(value)}</span>
+                </div>
+            `)
+            .join('');
+    }
+};
+
+// ---- Built-in providers ----
+
+ImageryProviders.register(ImageryProviders.createTileProvider({
+    id: 'esri',
+    name: 'ESRI World Imagery',
+    shortName: 'ESRI',
+
+    getMinZoom() {
+        return CONFIG.map.minZoomForImageryFetch;
+    },
+
+    /**
+     * Fetch from the live service or the selected Wayback release
+     * Results that arrive after the release was switched are dropped
+     */
+    async fetchMetadata(bounds, zoom, signal) {
+        const release = WaybackSource.activeRelease;
+        const data = release
+            ? await WaybackSource.fetchMetadata(bounds, zoom, signal)
+            : await ImagerySource.fetchEsriMetadata(bounds, zoom, signal);
+
+        if (WaybackSource.activeRelease !== release) {
+            return { type: 'FeatureCollection', features: [] };
+        }
+        return data;
+    },
+
+    enrich(feature) {
+        return ImagerySource.withAge(feature, ImagerySource.parseEsriDate(feature.properties.SRC_DATE));
+    }
+}));
+
+ImageryProviders.register(ImageryProviders.createTileProvider({
+    id: 'bing',
+    name: 'Bing Maps Aerial',
+    shortName: 'Bing',
+
+    getMinZoom() {
+        return CONFIG.bing.minZoomForFetch;
+    },
+
+    fetchMetadata(bounds, zoom, signal) {
+        return BingSource.fetchMetadata(bounds, zoom, signal);
+    },
+
+    getConfigError() {
+        return CONFIG.bing.apiKey ? '' : 'Set CONFIG.bing.apiKey to fetch Bing metadata';
+    },
+
+    enrich(feature) {
+        const p = feature.properties;
+        return ImagerySource.withAge(feature, BingSource.parseBingDate(p.vintageEnd || p.vintageStart));
+    }
+}));
+
+ImageryProviders.register({
+    id: 'oam',
+    name: 'OpenAerialMap',
+    itemLabel: 'Images in view',
+    layers: ['oam-footprints-fill', 'oam-footprints-outline', 'oam-selected-outline', 'oam-highlight', 'oam-labels'],
+    clickLayer: 'oam-footprints-fill',
+    infoDisplay: 'panel',
+    infoTitle: 'OAM Image',
+
+    getMinZoom() {
+        return CONFIG.oam.minZoomForDisplay;
+    },
+
+    /**
+     * Lazy-load the OAM catalog on first selection
+     */
+    async activate(ctx) {
+        if (OamSource._loaded) return true;
+
+        ctx.setCatalogLoading(true);
+        try {
+            const result = await OamSource.loadAllImages();
+            console.log(`OAM loaded: ${result.features.length} features`);
+            return true;
+        } catch (e) {
+            console.error('Failed to load OAM data:', e);
+            return false;
+        } finally {
+            ctx.setCatalogLoading(false);
+        }
+    },
+
+    /**
+     * Filter the catalog to the viewport, update sources and manage thumbnails
+     */
+    async fetchForBounds(bounds, zoom, ctx) {
+        const map = ctx.map;
+
+        if (zoom < this.getMinZoom()) {
+            // Below OAM display threshold: hide footprints and drop thumbnails
+            ctx.setLayersVisible(this.layers, false);
+            this._setData(map, [], []);
+            OamSource.clearAllThumbnails(map);
+            return;
+        }
+
+        ctx.setLayersVisible(this.layers, true);
+
+        // While the timeline animation runs only images acquired so far are shown
+        const visibleFeatures = OamAnimation.reveal(OamSource.getFeaturesInBounds(bounds));
+        this._setData(map, visibleFeatures, OamAnimation.reveal(OamSource.getCentroidsInBounds(bounds)));
+
+        if (zoom >= CONFIG.oam.minZoomForThumbnails) {
+            OamSource.addThumbnailsForFeatures(map, visibleFeatures);
+        } else {
+            OamSource.clearAllThumbnails(map);
+        }
+
+        ctx.updateStats();
+    },
+
+    enrich(feature) {
+        return ImagerySource.withAge(feature, OamSource.parseOamDate(feature.properties.acquisition_start));
+    },
+
+    refreshAges() {
+        OamSource.refreshAges();
+    },
+
+    getFeatures(bounds) {
+        return OamSource._loaded ? OamSource.getFeaturesInBounds(bounds) : [];
+    },
+
+    getFeature(props) {
+        return OamSource._allFeatures.find(f => f.properties._oamId === props._oamId) || null;
+    },
+
+    select(feature, ctx) {
+        OamSource.selectFeature(ctx.map, feature);
+    },
+
+    formatInfo(feature) {
+        const p = feature.properties;
+        let html = '';
+
+        if (p.thumbnail) {
+            html += `<img src="${TextUtils.escapeHtml(p.thumbnail)}" class="oam-thumbnail-preview" alt="OAM thumbnail" onerror="this.style.display='none'">`;
+        }
+
+        return html + ImageryProviders._formatRows([
+            ['Date', p.formattedDate],
+            ['Provider', p.provider],
+            ['Platform', p.platform],
+            ['Sensor', p.sensor],
+            ['GSD', p.gsd ? `${Number(p.gsd).toFixed(2)} m` : null],
+            ['Title', p.title]
+        ], 'info');
+    },
+
+    getPageLink(props) {
+        return props.pageUrl ? { url: props.pageUrl, label: 'View on OpenAerialMap' } : null;
+    },
+
+    getZoomMessage(zoom) {
+        const minDisplay = this.getMinZoom();
+        return zoom < minDisplay ? `Zoom to ${minDisplay}+ to see OAM imagery` : '';
+    },
+
+    cleanup(ctx) {
+        OamSource.cleanup(ctx.map);
+        this._setData(ctx.map, [], []);
+    },
+
+    _setData(map, features, centroids) {
+        map.getSource('oam-footprints').setData({ type: 'FeatureCollection', features: features });
+        map.getSource('oam-centroids').setData({ type: 'FeatureCollection', features: centroids });
+    }
+});
+
+ImageryProviders.register({
+    id: 'stac',
+    name: 'STAC API',
+    itemLabel: 'Items in view',
+    layers: ['stac-footprints-fill', 'stac-footprints-outline', 'stac-highlight', 'stac-labels'],
+    clickLayer: 'stac-footprints-fill',
+    infoDisplay: 'panel',
+    infoTitle: 'STAC Item',
+
+    getMinZoom() {
+        return CONFIG.stac.minZoomForFetch;
+    },
+
+    /**
+     * Search the STAC API for the viewport and show the items in view
+     * A newer viewport aborts the search still running for an older one (see ctx.getViewportSignal)
+     */
+    async fetchForBounds(bounds, zoom, ctx) {
+        if (zoom < this.getMinZoom()) {
+            ctx.setLayersVisible(this.layers, false);
+            return;
+        }
+
+        ctx.setLayersVisible(this.layers, true);
+        ctx.setLoading(true);
+
+        try {
+            await StacSource.search(bounds, ctx.getViewportSignal());
+        } catch (error) {
+            if (RequestScheduler.isAbortError(error)) return;
+            console.error('Error searching STAC API:', error);
+        } finally {
+            ctx.setLoading(false);
+        }
+
+        // Source may have been switched while the search was running
+        if (!ctx.isActive(this.id)) return;
+
+        this._setData(ctx.map, StacSource.getFeaturesInBounds(bounds), StacSource.getCentroidsInBounds(bounds));
+        ctx.updateStats();
+    },
+
+    enrich(feature) {
+        const p = feature.properties;
+        return ImagerySource.withAge(feature, ImagerySource.parseIsoDate(p.datetime || p.start_datetime));
+    },
+
+    refreshAges() {
+        StacSource.refreshAges();
+    },
+
+    getFeatures(bounds) {
+        return StacSource.getFeaturesInBounds(bounds);
+    },
+
+    getFeature(props) {
+        return StacSource.getFeature(props._stacId);
+    },
+
+    formatInfo(feature) {
+        const p = feature.properties;
+        let html = '';
+
+        if (p.thumbnail) {
+            html += `<img src="${TextUtils.escapeHtml(p.thumbnail)}" class="oam-thumbnail-preview" alt="STAC thumbnail" onerror="this.style.display='none'">`;
+        }
+
+        return html + ImageryProviders._formatRows([
+            ['Date', p.formattedDate],
+            ['Collection', p.collection],
+            ['Item', p.itemId],
+            ['Platform', p.platform],
+            ['GSD', p.gsd ? `${Number(p.gsd).toFixed(2)} m` : null],
+            ['Cloud cover', typeof p.cloudCover === 'number' ? `${p.cloudCover.toFixed(1)}%` : null]
+        ], 'info');
+    },
+
+    getPageLink(props) {
+        return props.pageUrl ? { url: props.pageUrl, label: 'View STAC item' } : null;
+    },
+
+    getZoomMessage(zoom) {
+        const minFetch = this.getMinZoom();
+        return zoom < minFetch ? `Zoom to ${minFetch}+ to search STAC imagery` : '';
+    },
+
+    cleanup(ctx) {
+        this._setData(ctx.map, [], []);
+    },
+
+    _setData(map, features, centroids) {
+        map.getSource('stac-footprints').setData({ type: 'FeatureCollection', features: features });
+        map.getSource('stac-centroids').setData({ type: 'FeatureCollection', features: centroids });
+    }
+});
+
+ImageryProviders.register({
+    id: 'freshest',
+    name: 'ESRI + OAM (freshest)',
+    itemLabel: 'Tiles and images',
+    tileLayer: true,
+    tileSource: 'esri',
+    // ESRI tile fills are left off so the composite colours show
+    layers: [
+        'imagery-outline', 'imagery-highlight', 'imagery-labels',
+        'oam-footprints-fill', 'oam-footprints-outline', 'oam-selected-outline', 'oam-highlight', 'oam-labels',
+        'freshest-grid-fill', 'freshest-grid-labels'
+    ],
+    clickLayer: 'freshest-grid-fill',
+    infoDisplay: 'popup',
+    infoTitle: 'Freshest Imagery',
+
+    getMinZoom() {
+        return ImageryProviders.getRegistered('esri').getMinZoom();
+    },
+
+    activate(ctx) {
+        return ImageryProviders.getRegistered('oam').activate(ctx);
+    },
+
+    /**
+     * Fetch ESRI tiles and show OAM footprints for the viewport, then rebuild the composite grid
+     */
+    async fetchForBounds(bounds, zoom, ctx) {
+        const oam = ImageryProviders.getRegistered('oam');
+        await Promise.all([
+            ImageryProviders.getRegistered('esri').fetchForBounds(bounds, zoom, ctx),
+            oam.fetchForBounds(bounds, zoom, ctx)
+        ]);
+
+        // Source may have been switched while ESRI was loading
+        if (!ctx.isActive(this.id)) return;
+
+        // OAM hides its layers below its display zoom; the composite follows it
+        const visible = zoom >= oam.getMinZoom();
+        ctx.setLayersVisible(['freshest-grid-fill', 'freshest-grid-labels'], visible);
+
+        const cells = visible
+            ? ImagerySource.calculateFreshestGrid(this.getFeatures(bounds, ctx), bounds, CONFIG.freshest.cellsAcross)
+            : [];
+        this._cells = cells;
+        ctx.map.getSource('freshest-grid').setData({ type: 'FeatureCollection', features: cells });
+        ctx.updateStats();
+    },
+
+    enrich(feature) {
+        const source = feature.properties.source === 'OpenAerialMap' ? 'oam' : 'esri';
+        return ImageryProviders.getRegistered(source).enrich(feature);
+    },
+
+    refreshAges() {
+        ImageryProviders.getRegistered('oam').refreshAges();
+    },
+
+    // All loaded ESRI tiles plus the OAM footprints in the bbox
+    getFeatures(bounds, ctx) {
+        return [...ctx.getTileFeatures(), ...ImageryProviders.getRegistered('oam').getFeatures(bounds)];
+    },
+
+    formatInfo(feature) {
+        const p = feature.properties;
+        return ImageryProviders._formatRows([
+            ['Newest date', p.formattedDate],
+            ['From', p.cellSource],
+            ['Provider', p.NICE_NAME || p.provider],
+            ['Resolution', p.SRC_RES ? `${p.SRC_RES}m` : (p.gsd ? `${Number(p.gsd).toFixed(2)} m` : null)]
+        ], 'popup');
+    },
+
+    getZoomMessage(zoom, ctx) {
+        return ImageryProviders.getRegistered('esri').getZoomMessage(zoom, ctx) ||
+            ImageryProviders.getRegistered('oam').getZoomMessage(zoom);
+    },
+
+    /**
+     * Share of composite cells each source wins in the viewport
+     */
+    formatStats() {
+        const cells = this._cells || [];
+        if (cells.length === 0) return '';
+
+        const counts = new Map();
+        for (const cell of cells) {
+            counts.set(cell.properties.cellSource, (counts.get(cell.properties.cellSource) || 0) + 1);
+        }
+
+        const rows = [...counts.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .map(([source, count]) => [source, `${Math.round((count / cells.length) * 100)}% of cells`]);
+
+        return `
+            <div class="stat-section">
+                <h4>Freshest source in view</h4>
+                ${ImageryProviders._formatRows(rows, 'stat')}
+            </div>
+        `;
+    },
+
+    cleanup(ctx) {
+        this._cells = [];
+        ImageryProviders.getRegistered('oam').cleanup(ctx);
+        ctx.map.getSource('freshest-grid').setData({ type: 'FeatureCollection', features: [] });
+    }
+});
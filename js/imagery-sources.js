@@ -4,8 +4,14 @@
  */
 
 const ImagerySource = {
-    // Cache of loaded imagery IDs to avoid duplicates
-    loadedIds: new Set(),
+    // Loaded imagery IDs, to avoid duplicates, and the maxAllowableOffset their geometry was
+    // generalised to (0 = full detail), to refetch tiles once zoomed in well past it
+    loadedIds: new Map(),
+
+    // Date imagery age is measured against (null = today), see setAgeReference
+    _referenceDate: null,
+    // Creation date of the loaded TM project, for flagging imagery captured after it
+    _projectCreated: null,
 
     /**
      * Parse ESRI date format (YYYYMMDD as number) to Date object
@@ -22,6 +28,25 @@ const ImagerySource = {
         return new Date(year, month, day);
     },
 
+    /**
+     * Parse an ISO 8601 / RFC 3339 date string (OAM acquisition dates, STAC datetimes)
+     * @returns {Date|null}
+     */
+    parseIsoDate(isoString) {
+        if (!isoString) return null;
+        const d = new Date(isoString);
+        if (isNaN(d.getTime())) return null;
+        return d;
+    },
+
+    /**
+     * Convert http:// URLs (thumbnails, TMS) to https://, so they load on the https app
+     */
+    toHttps(url) {
+        if (!url) return '';
+        return url.replace(/^http:\/\//i, 'https://');
+    },
+
     /**
      * Format date as YYYY-MM-DD for display (like reference app)
      */
@@ -34,39 +59,123 @@ const ImagerySource = {
     },
 
     /**
-     * Calculate age in years from a date
+     * Set the moment imagery age is measured at, e.g. when a project was created or last mapped
+     * Already enriched features keep their old ages until passed through refreshAges
+     * @param {Date|null} referenceDate - null measures age against today
+     * @param {Date|null} projectCreated - Creation date of the loaded project, if any
+     */
+    setAgeReference(referenceDate, projectCreated) {
+        this._referenceDate = referenceDate || null;
+        this._projectCreated = projectCreated || null;
+    },
+
+    /**
+     * Get the date imagery age is measured against
+     */
+    getReferenceDate() {
+        return this._referenceDate || new Date();
+    },
+
+    /**
+     * Calculate age in years from a date, at the reference date
+     * Negative when the imagery was captured after the reference date
      */
     getAgeInYears(date) {
         if (!date) return null;
-        const now = new Date();
-        const diffMs = now - date;
+        const diffMs = this.getReferenceDate() - date;
         return diffMs / (1000 * 60 * 60 * 24 * 365.25);
     },
 
     /**
-     * Get color based on imagery age
+     * Format an age in years for display, e.g. "8 months" or "2.3 years"
+     */
+    formatAge(years) {
+        const abs = Math.abs(years);
+        const text = abs < 1 ? `${Math.round(abs * 12)} months` : `${abs.toFixed(1)} years`;
+        return years < 0 ? `${text} after` : text;
+    },
+
+    /**
+     * Get color based on imagery age: its class colour, or its ramp colour in ramp mode (see AgeClasses)
      */
     getAgeColor(date) {
         const age = this.getAgeInYears(date);
         if (age === null) return CONFIG.ageColors.unknown;
 
-        if (age < CONFIG.ageThresholds.fresh) return CONFIG.ageColors.fresh;
-        if (age < CONFIG.ageThresholds.medium) return CONFIG.ageColors.medium;
-        if (age < CONFIG.ageThresholds.old) return CONFIG.ageColors.old;
-        return CONFIG.ageColors.veryOld;
+        if (age < 0 && this._referenceDate) return CONFIG.ageColors.after;
+        if (AgeClasses.getScheme().mode === 'ramp') return AgeClasses.rampColor(age);
+        return AgeClasses.get()[AgeClasses.indexFor(age)].color;
     },
 
     /**
-     * Get age category class name
+     * Get age class key: 'age-0' (youngest) to 'age-N', or 'after' for imagery newer than a past reference date
      */
     getAgeClass(date) {
         const age = this.getAgeInYears(date);
         if (age === null) return '';
 
-        if (age < CONFIG.ageThresholds.fresh) return 'fresh';
-        if (age < CONFIG.ageThresholds.medium) return 'medium';
-        if (age < CONFIG.ageThresholds.old) return 'old';
-        return 'very-old';
+        if (age < 0 && this._referenceDate) return 'after';
+        return `age-${AgeClasses.indexFor(age)}`;
+    },
+
+    /**
+     * MapLibre colour expression matching getAgeColor, evaluated on the ageYears property
+     * Lets layers follow edited age classes without their features being re-enriched
+     */
+    getAgeColorExpression() {
+        const age = ['get', 'ageYears'];
+        let colors;
+
+        if (AgeClasses.getScheme().mode === 'ramp') {
+            colors = ['interpolate', ['linear'], age, ...AgeClasses.rampStops().flat()];
+        } else {
+            const classes = AgeClasses.get();
+            colors = ['step', age, classes[0].color];
+            for (let i = 1; i < classes.length; i++) {
+                colors.push(classes[i - 1].maxYears, classes[i].color);
+            }
+        }
+
+        const after = this._referenceDate ? [['<', age, 0], CONFIG.ageColors.after] : [];
+        return ['case', ['!=', ['typeof', age], 'number'], CONFIG.ageColors.unknown, ...after, colors];
+    },
+
+    /**
+     * Age attributes shared by every imagery feature, derived from its capture date
+     * afterCreation flags imagery captured after the loaded project was created (AOI may need re-mapping)
+     * @returns {Object} { parsedDate, formattedDate, ageYears, ageColor, ageClass, afterCreation }
+     */
+    getAgeProperties(date) {
+        return {
+            parsedDate: date,
+            formattedDate: this.formatDate(date),
+            ageYears: this.getAgeInYears(date),
+            ageColor: this.getAgeColor(date),
+            ageClass: this.getAgeClass(date),
+            afterCreation: !!(date && this._projectCreated && date > this._projectCreated)
+        };
+    },
+
+    /**
+     * Recompute the age attributes of enriched features in place (after setAgeReference or editing AgeClasses)
+     * Features without parsedDate (e.g. label centroids holding only ageColor) are skipped
+     * @param {Iterable} features - Features with a parsedDate property
+     */
+    refreshAges(features) {
+        for (const f of features) {
+            if (!('parsedDate' in f.properties)) continue;
+            Object.assign(f.properties, this.getAgeProperties(f.properties.parsedDate));
+        }
+    },
+
+    /**
+     * Copy of a feature with its age attributes recomputed for a capture date
+     */
+    withAge(feature, date) {
+        return {
+            ...feature,
+            properties: { ...feature.properties, ...this.getAgeProperties(date) }
+        };
     },
 
     /**
@@ -98,14 +207,36 @@ const ImagerySource = {
     /**
      * Fetch ESRI imagery metadata using the query endpoint
      * Following the approach from esri-imagery-date-finder
+     * The view is split into cells (CONFIG.cache.esriCellZoom): cells queried within the TTL are
+     * read from the persistent cache, the rest are queried together and cached
+     * Tiles count as loaded only once returned, so a cancelled fetch can be repeated
      * @param {Array} bounds - [west, south, east, north] in EPSG:4326
      * @param {number} zoom - current zoom level
+     * @param {AbortSignal} signal - Optional: cancels the fetch (it then rejects with an AbortError)
      * @returns {Promise<Object>} GeoJSON FeatureCollection with date info
      */
-    async fetchEsriMetadata(bounds, zoom) {
-        // Convert bounds to Web Mercator
-        const [minX, minY] = this.toWebMercator(bounds[0], bounds[1]);
-        const [maxX, maxY] = this.toWebMercator(bounds[2], bounds[3]);
+    async fetchEsriMetadata(bounds, zoom, signal) {
+        const cells = GeoUtils.tileCoordsInBbox(bounds, CONFIG.cache.esriCellZoom);
+        const cached = await this._loadCachedCells(cells, this._maxAllowableOffset(zoom));
+        if (cached.missing.length === 0) {
+            return this._markLoaded(cached.features);
+        }
+        const cachedIds = new Set(cached.features.map(f => f.properties.OBJECTID));
+
+        // The identify fallback samples the view itself; cached tiles are kept either way
+        const viaIdentify = async () => {
+            const data = await this.fetchEsriMetadataViaIdentify(bounds, zoom, signal);
+            if (data.error) {
+                return cached.features.length > 0 ? this._markLoaded(cached.features) : data;
+            }
+            const identified = data.features.filter(f => !cachedIds.has(f.properties.OBJECTID));
+            return this._markLoaded([...cached.features, ...identified]);
+        };
+
+        // Query the whole of each missing cell, so the results are complete for the cell
+        const queryBounds = this._cellsBbox(cached.missing);
+        const [minX, minY] = this.toWebMercator(queryBounds[0], queryBounds[1]);
+        const [maxX, maxY] = this.toWebMercator(queryBounds[2], queryBounds[3]);
 
         // Build geometry JSON like the reference app
         const geometry = {
@@ -117,203 +248,196 @@ const ImagerySource = {
         };
 
         try {
-            // Step 1: Get count first to check if we have too many features
-            const countUrl = `https://services.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/0/query?` +
-                `f=json&returnCountOnly=true&` +
-                `geometry=${encodeURIComponent(JSON.stringify(geometry))}&` +
-                `geometryType=esriGeometryEnvelope&` +
-                `spatialRel=esriSpatialRelIntersects&` +
-                `inSR=102100`;
-
-            const countResponse = await fetch(countUrl);
-            if (!countResponse.ok) {
-                console.warn('Count query failed:', countResponse.status);
-                // Try identify as fallback
-                return this.fetchEsriMetadataViaIdentify(bounds, zoom);
-            }
-
-            const countData = await countResponse.json();
-            console.log('Feature count:', countData.count);
-
-            if (countData.count > 100) {
-                return {
-                    type: 'FeatureCollection',
-                    features: [],
-                    warning: `Too many features (${countData.count}). Zoom in more.`
-                };
-            }
-
-            // Step 2: Get object IDs
-            const idsUrl = `https://services.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/0/query?` +
-                `f=json&returnIdsOnly=true&` +
-                `geometry=${encodeURIComponent(JSON.stringify(geometry))}&` +
-                `geometryType=esriGeometryEnvelope&` +
-                `spatialRel=esriSpatialRelIntersects&` +
-                `inSR=102100`;
-
-            const idsResponse = await fetch(idsUrl);
+            // Step 1: Object IDs in the query area (a single request, not capped at maxRecordCount)
+            const idsParams = new URLSearchParams({
+                f: 'json',
+                returnIdsOnly: 'true',
+                geometry: JSON.stringify(geometry),
+                geometryType: 'esriGeometryEnvelope',
+                spatialRel: 'esriSpatialRelIntersects',
+                inSR: '102100'
+            });
+            const idsResponse = await RequestScheduler.fetch(`${CONFIG.esri.queryUrl}?${idsParams}`, { signal });
             if (!idsResponse.ok) {
-                return this.fetchEsriMetadataViaIdentify(bounds, zoom);
+                return viaIdentify();
             }
 
+            // ESRI reports errors as HTTP 200 with an error body; without IDs the cells
+            // can't be known to be empty, so they must not be cached
             const idsData = await idsResponse.json();
+            if (idsData.error) {
+                console.warn('Object ID query failed:', idsData.error.message);
+                return viaIdentify();
+            }
             const objectIds = idsData.objectIds || [];
             console.log('Object IDs:', objectIds.length);
 
-            // Filter out already loaded IDs
-            const newIds = objectIds.filter(id => !this.loadedIds.has(id));
-            if (newIds.length === 0) {
-                return { type: 'FeatureCollection', features: [] };
+            if (objectIds.length > CONFIG.esri.maxFeatures) {
+                return {
+                    ...this._markLoaded(cached.features),
+                    warning: `Too many features (${objectIds.length}). Zoom in more.`
+                };
             }
 
-            // Step 3: Fetch features with geometry
-            const features = [];
-            for (const objectId of newIds) {
-                try {
-                    const feature = await this.fetchSingleFeature(objectId);
-                    if (feature) {
-                        this.loadedIds.add(objectId);
-                        features.push(feature);
-                    }
-                } catch (e) {
-                    console.warn('Error fetching feature', objectId, e);
-                }
+            // Skip tiles already loaded (unless only a coarser geometry was) or read from the cache
+            const offset = this._maxAllowableOffset(zoom);
+            const newIds = objectIds.filter(id => this._needsFetch(id, offset) && !cachedIds.has(id));
+
+            // Step 2: Features with geometry, in batches of object IDs fetched in parallel
+            const batches = [];
+            for (let i = 0; i < newIds.length; i += CONFIG.esri.batchSize) {
+                batches.push(newIds.slice(i, i + CONFIG.esri.batchSize));
             }
+            const results = await Promise.all(batches.map(ids => this.fetchFeatureBatch(ids, offset, signal)));
+            const features = results.flat();
+            console.log(`ESRI features: ${features.length} in ${batches.length} batches`);
 
-            return {
-                type: 'FeatureCollection',
-                features: features
-            };
+            await this._cacheCells(cached.missing, objectIds, features);
+
+            return this._markLoaded([...cached.features, ...features]);
         } catch (error) {
+            if (RequestScheduler.isAbortError(error)) throw error;
             console.error('Error fetching ESRI metadata:', error);
             // Fallback to identify endpoint
-            return this.fetchEsriMetadataViaIdentify(bounds, zoom);
+            return viaIdentify();
         }
     },
 
     /**
-     * Fetch a single feature by object ID
+     * Fetch the features of a batch of object IDs, paging with resultOffset/resultRecordCount
+     * while the server reports more results than it returned
+     * @param {Array} objectIds
+     * @param {number} offset - maxAllowableOffset in degrees (geometry generalisation, 0 for none)
+     * @param {AbortSignal} signal - Optional: cancels the requests
+     * @returns {Promise<Array>} Enriched features
+     * @throws {Error} When a page fails (the caller falls back to identify)
      */
-    async fetchSingleFeature(objectId) {
-        const url = `https://services.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/0/query?` +
-            `f=json&objectIds=${objectId}&` +
-            `outFields=OBJECTID,SRC_DATE,SRC_RES,SRC_ACC,NICE_NAME,NICE_DESC&` +
-            `returnGeometry=true&outSR=4326`;
-
-        const response = await fetch(url);
-        if (!response.ok) return null;
+    async fetchFeatureBatch(objectIds, offset, signal) {
+        const features = [];
+
+        // The server may return fewer than asked for (its maxRecordCount), so page by what came back
+        for (let resultOffset = 0; ; ) {
+            const params = new URLSearchParams({
+                f: 'json',
+                objectIds: objectIds.join(','),
+                outFields: 'OBJECTID,SRC_DATE,SRC_RES,SRC_ACC,NICE_NAME,NICE_DESC',
+                returnGeometry: 'true',
+                outSR: '4326',
+                resultOffset: String(resultOffset),
+                resultRecordCount: String(CONFIG.esri.pageSize)
+            });
+            if (offset > 0) params.set('maxAllowableOffset', String(offset));
+
+            const response = await RequestScheduler.fetch(`${CONFIG.esri.queryUrl}?${params}`, { signal });
+            if (!response.ok) {
+                throw new Error(`Feature query failed: HTTP ${response.status}`);
+            }
 
-        const data = await response.json();
-        if (!data.features || data.features.length === 0) return null;
+            const data = await response.json();
+            if (data.error) {
+                throw new Error(`Feature query failed: ${data.error.message}`);
+            }
 
-        const f = data.features[0];
-        const srcDate = f.attributes?.SRC_DATE;
-        const parsedDate = this.parseEsriDate(srcDate);
+            for (const f of data.features || []) {
+                const feature = this._toEsriFeature(f, offset);
+                if (feature) features.push(feature);
+            }
 
-        // Convert ESRI geometry to GeoJSON
-        let geometry = null;
-        if (f.geometry?.rings) {
-            geometry = {
-                type: 'Polygon',
-                coordinates: f.geometry.rings
-            };
+            if (!data.exceededTransferLimit || !data.features?.length) break;
+            resultOffset += data.features.length;
         }
-
-        if (!geometry) return null;
-
-        return {
-            type: 'Feature',
-            properties: {
-                OBJECTID: f.attributes?.OBJECTID,
-                SRC_DATE: srcDate,
-                SRC_RES: f.attributes?.SRC_RES,
-                SRC_ACC: f.attributes?.SRC_ACC,
-                NICE_NAME: f.attributes?.NICE_NAME,
-                NICE_DESC: f.attributes?.NICE_DESC,
-                parsedDate: parsedDate,
-                formattedDate: this.formatDate(parsedDate),
-                ageYears: this.getAgeInYears(parsedDate),
-                ageColor: this.getAgeColor(parsedDate),
-                ageClass: this.getAgeClass(parsedDate),
-                source: 'ESRI World Imagery'
-            },
-            geometry: geometry
-        };
+        return features;
     },
 
     /**
-     * Fallback: Fetch metadata via identify endpoint with multi-point sampling
-     * Uses dual offset grids to ensure complete coverage - identify endpoint only returns
-     * tiles that contain the exact sample point, so we need dense overlapping grids
+     * Fallback: Fetch metadata via identify endpoint with adaptive point sampling
+     * The identify endpoint only returns tiles near the exact sample point, so the view is sampled
+     * at the corners of a coarse grid, then refined round by round: corners already inside a
+     * returned tile aren't requested, and cells whose corners fall in different tiles (or in none)
+     * are split in four, until no such gaps remain, cells reach CONFIG.esri.identify.minCellPixels or the
+     * request budget (CONFIG.esri.identify.maxRequests) runs out
      */
-    async fetchEsriMetadataViaIdentify(bounds, zoom) {
+    async fetchEsriMetadataViaIdentify(bounds, zoom, signal) {
+        const { gridSize, maxRequests, minCellPixels } = CONFIG.esri.identify;
         const [west, south, east, north] = bounds;
+        const width = (east - west) / gridSize;
+        const height = (north - south) / gridSize;
+        const minCellSize = minCellPixels * 360 / (256 * Math.pow(2, zoom));
 
-        // Grid density based on zoom - balance coverage vs request count
-        // Keep requests reasonable to avoid overwhelming ESRI servers
-        let gridSize;
-        if (zoom >= 15) {
-            gridSize = 4;   // 4x4 + 3x3 = 25 points
-        } else if (zoom >= 14) {
-            gridSize = 5;   // 5x5 + 4x4 = 41 points
-        } else if (zoom >= 13) {
-            gridSize = 6;   // 6x6 + 5x5 = 61 points
-        } else {
-            gridSize = 7;   // 7x7 + 6x6 = 85 points for z12
-        }
-
-        const points = [];
-        const width = east - west;
-        const height = north - south;
-
-        // Primary grid - centered in each cell
+        let cells = [];
         for (let i = 0; i < gridSize; i++) {
             for (let j = 0; j < gridSize; j++) {
-                const lon = west + width * (i + 0.5) / gridSize;
-                const lat = south + height * (j + 0.5) / gridSize;
-                points.push([lon, lat]);
+                cells.push([west + width * i, south + height * j, west + width * (i + 1), south + height * (j + 1)]);
             }
         }
 
-        // Secondary offset grid - offset by half a cell to catch tiles between primary points
-        // This creates a checkerboard pattern that significantly improves coverage
-        const offsetGridSize = Math.max(gridSize - 1, 4);
-        for (let i = 0; i < offsetGridSize; i++) {
-            for (let j = 0; j < offsetGridSize; j++) {
-                const lon = west + width * (i + 1) / gridSize;
-                const lat = south + height * (j + 1) / gridSize;
-                points.push([lon, lat]);
-            }
-        }
-
-        console.log(`Identify grid: ${gridSize}x${gridSize} primary + ${offsetGridSize}x${offsetGridSize} offset = ${points.length} total points`);
-
+        // Every tile returned (for point containment) and the new ones, in order
+        const returned = new Map();
         const allFeatures = [];
-        const seenIds = new Set();
+        // Tiles containing each corner sampled or skipped so far, by point key
+        const signatures = new Map();
+        let requests = 0;
+        let rounds = 0;
 
         try {
-            const results = await Promise.all(
-                points.map(([lon, lat]) => this.fetchIdentifyPoint(lon, lat, bounds))
-            );
+            while (cells.length > 0) {
+                // Corners not seen yet; those inside a returned tile need no request
+                const toSample = [];
+                for (const cell of cells) {
+                    for (const point of this._cellCorners(cell)) {
+                        const key = this._pointKey(point);
+                        if (signatures.has(key)) continue;
+                        signatures.set(key, null);
+                        if (!this._tilesAt(point, returned)) toSample.push(point);
+                    }
+                }
 
-            for (const result of results) {
-                if (result.features) {
-                    for (const feature of result.features) {
+                const budget = maxRequests - requests;
+                if (toSample.length > budget) {
+                    console.warn(`Identify request budget reached, ${toSample.length - budget} points not sampled`);
+                    toSample.length = budget;
+                }
+                if (toSample.length > 0) rounds++;
+                requests += toSample.length;
+
+                const results = await Promise.all(
+                    toSample.map(([lon, lat]) => this.fetchIdentifyPoint(lon, lat, bounds, signal))
+                );
+                for (const result of results) {
+                    for (const feature of result.features || []) {
                         const id = feature.properties.OBJECTID;
-                        if (!seenIds.has(id) && !this.loadedIds.has(id)) {
-                            seenIds.add(id);
-                            this.loadedIds.add(id);
-                            allFeatures.push(feature);
-                        }
+                        if (returned.has(id)) continue;
+                        returned.set(id, { feature, bbox: GeoUtils.getBbox(feature.geometry) });
+                        if (!this.loadedIds.has(id)) allFeatures.push(feature);
                     }
                 }
+
+                // Split the gaps: cells whose corners fall in different tiles, or outside any tile
+                for (const key of signatures.keys()) {
+                    signatures.set(key, this._tilesAt(key.split(',').map(Number), returned));
+                }
+                if (requests >= maxRequests) break;
+                cells = cells
+                    .filter(cell => cell[2] - cell[0] > minCellSize && cell[3] - cell[1] > minCellSize)
+                    .filter(cell => {
+                        const corners = this._cellCorners(cell).map(p => signatures.get(this._pointKey(p)));
+                        return corners.includes('') || new Set(corners).size > 1;
+                    })
+                    .flatMap(cell => this._splitCell(cell));
             }
 
+            console.log(`Identify: ${requests} points in ${rounds} rounds, ${allFeatures.length} new tiles`);
+            allFeatures.forEach(f => this.loadedIds.set(f.properties.OBJECTID, 0));
+
+            // Kept for cells queried later (identify results can't mark a cell complete)
+            await PersistentCache.putMany('esriTiles', allFeatures.map(f => [f.properties.OBJECTID, f]));
+
             return {
                 type: 'FeatureCollection',
                 features: allFeatures
             };
         } catch (error) {
+            if (RequestScheduler.isAbortError(error)) throw error;
             console.error('Error fetching via identify:', error);
             return { error: 'fetch', message: error.message };
         }
@@ -322,7 +446,7 @@ const ImagerySource = {
     /**
      * Fetch identify results for a single point
      */
-    async fetchIdentifyPoint(lon, lat, bounds) {
+    async fetchIdentifyPoint(lon, lat, bounds, signal) {
         const [west, south, east, north] = bounds;
 
         const params = new URLSearchParams({
@@ -337,10 +461,10 @@ const ImagerySource = {
             returnGeometry: 'true'
         });
 
-        const url = `https://services.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/identify?${params}`;
+        const url = `${CONFIG.esri.identifyUrl}?${params}`;
 
         try {
-            const response = await fetch(url);
+            const response = await RequestScheduler.fetch(url, { signal });
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}`);
             }
@@ -364,11 +488,7 @@ const ImagerySource = {
                             NICE_NAME: r.attributes?.DESCRIPTION || r.attributes?.NICE_NAME,
                             NICE_DESC: r.attributes?.SOURCE_INFO || r.attributes?.NICE_DESC,
                             layerName: r.layerName,
-                            parsedDate: parsedDate,
-                            formattedDate: this.formatDate(parsedDate),
-                            ageYears: this.getAgeInYears(parsedDate),
-                            ageColor: this.getAgeColor(parsedDate),
-                            ageClass: this.getAgeClass(parsedDate),
+                            ...this.getAgeProperties(parsedDate),
                             source: 'ESRI World Imagery'
                         },
                         geometry: {
@@ -380,13 +500,14 @@ const ImagerySource = {
 
             return { features };
         } catch (error) {
+            if (RequestScheduler.isAbortError(error)) throw error;
             console.error('Error fetching identify point:', error);
             return { features: [] };
         }
     },
 
     /**
-     * Calculate statistics for a set of imagery features
+     * Calculate statistics for a set of imagery features (any source with parsedDate)
      */
     calculateStats(features) {
         if (!features || features.length === 0) {
@@ -402,8 +523,12 @@ const ImagerySource = {
             return null;
         }
 
-        const ages = dates.map(d => this.getAgeInYears(d));
+        // Oldest date first, so ages run from oldest to youngest; flip them for percentiles
+        const ages = dates.map(d => this.getAgeInYears(d)).reverse();
         const avgAge = ages.reduce((a, b) => a + b, 0) / ages.length;
+        const medianAge = this._percentile(ages, 0.5);
+        const p90Age = this._percentile(ages, 0.9);
+        const { olderThanYears } = CONFIG.stats;
 
         return {
             count: features.length,
@@ -412,9 +537,375 @@ const ImagerySource = {
             oldestFormatted: this.formatDate(dates[0]),
             newestFormatted: this.formatDate(dates[dates.length - 1]),
             avgAgeYears: avgAge,
-            avgAgeFormatted: avgAge < 1
-                ? `${Math.round(avgAge * 12)} months`
-                : `${avgAge.toFixed(1)} years`
+            avgAgeFormatted: this.formatAge(avgAge),
+            medianAgeYears: medianAge,
+            medianAgeFormatted: this.formatAge(medianAge),
+            p90AgeYears: p90Age,
+            p90AgeFormatted: this.formatAge(p90Age),
+            olderThanYears: olderThanYears,
+            olderShare: ages.filter(a => a > olderThanYears).length / ages.length,
+            histogram: this.buildStatsHistogram(features),
+            afterCreationCount: features.filter(f => f.properties.afterCreation).length
+        };
+    },
+
+    /**
+     * Date histogram for the stats panel: by quarter up to CONFIG.stats.quarterlyMaxYears, by year beyond
+     * @returns {Object|null} See DateFilter.buildHistogram
+     */
+    buildStatsHistogram(features) {
+        const extent = DateFilter.getExtent(features);
+        if (!extent) return null;
+
+        const spanYears = extent.max.getFullYear() - extent.min.getFullYear();
+        const unit = spanYears <= CONFIG.stats.quarterlyMaxYears ? 'quarter' : 'year';
+        return DateFilter.buildHistogram(features, extent, unit);
+    },
+
+    /**
+     * Summarise the imagery under a geometry (e.g. a TM task)
+     * @param {Array} features - Imagery features (ESRI tiles or OAM footprints) with parsedDate
+     * @param {Object} geometry - GeoJSON Polygon/MultiPolygon
+     * @param {string} mode - 'newest', 'oldest' or 'dominant' (the date covering the most area)
+     * @returns {Object|null} { date, count } or null when no dated imagery intersects
+     */
+    summarizeImagery(features, geometry, mode = 'newest') {
+        const bbox = GeoUtils.getBbox(geometry);
+        if (!bbox) return null;
+
+        const candidates = (features || [])
+            .filter(f => f.properties.parsedDate)
+            .map(f => ({ feature: f, bbox: GeoUtils.getBbox(f.geometry) }))
+            .filter(c => c.bbox && GeoUtils.bboxIntersects(c.bbox, bbox));
+        if (candidates.length === 0) return null;
+
+        const samples = GeoUtils.sampleGeometry(geometry, CONFIG.taskGrid.samplePoints);
+        const areaByFeature = new Map();
+
+        for (const point of samples) {
+            for (const c of candidates) {
+                if (!GeoUtils.bboxContains(c.bbox, point.lon, point.lat)) continue;
+                if (!GeoUtils.pointInGeometry(point.lon, point.lat, c.feature.geometry)) continue;
+                areaByFeature.set(c.feature, (areaByFeature.get(c.feature) || 0) + point.areaKm2);
+            }
+        }
+
+        const intersecting = [...areaByFeature.keys()];
+        if (intersecting.length === 0) return null;
+
+        let pick;
+        if (mode === 'dominant') {
+            pick = intersecting.reduce((a, b) => areaByFeature.get(b) > areaByFeature.get(a) ? b : a);
+        } else if (mode === 'oldest') {
+            pick = intersecting.reduce((a, b) => b.properties.parsedDate < a.properties.parsedDate ? b : a);
+        } else {
+            pick = intersecting.reduce((a, b) => b.properties.parsedDate > a.properties.parsedDate ? b : a);
+        }
+
+        return { date: pick.properties.parsedDate, count: intersecting.length };
+    },
+
+    /**
+     * Build a "freshest available" grid over a bbox from several sources
+     * Each cell takes the newest dated feature (of any source) covering its centre
+     * @param {Array} features - Enriched features from any providers (ESRI tiles, OAM footprints, ...)
+     * @param {Array} bounds - [west, south, east, north]
+     * @param {number} cellsAcross - Number of cells across the bbox width (square-ish cells)
+     * @returns {Array} GeoJSON Polygon cells of covered locations, with the winning feature's
+     *   properties plus cellSource (its source) and cellSourceLabel (short name for labels)
+     */
+    calculateFreshestGrid(features, bounds, cellsAcross) {
+        const [west, south, east, north] = bounds;
+        const cellWidth = (east - west) / cellsAcross;
+        const rows = Math.max(1, Math.round((north - south) / cellWidth));
+        const cellHeight = (north - south) / rows;
+
+        const candidates = (features || [])
+            .filter(f => f.properties.parsedDate)
+            .map(f => ({ feature: f, bbox: GeoUtils.getBbox(f.geometry) }))
+            .filter(c => c.bbox && GeoUtils.bboxIntersects(c.bbox, bounds));
+
+        const cells = [];
+        for (let i = 0; i < cellsAcross; i++) {
+            for (let j = 0; j < rows; j++) {
+                const cell = [west + i * cellWidth, south + j * cellHeight, west + (i + 1) * cellWidth, south + (j + 1) * cellHeight];
+                const lon = (cell[0] + cell[2]) / 2;
+                const lat = (cell[1] + cell[3]) / 2;
+
+                let newest = null;
+                for (const { feature, bbox } of candidates) {
+                    if (!GeoUtils.bboxContains(bbox, lon, lat)) continue;
+                    if (newest && feature.properties.parsedDate <= newest.properties.parsedDate) continue;
+                    if (GeoUtils.pointInGeometry(lon, lat, feature.geometry)) newest = feature;
+                }
+                if (!newest) continue;
+
+                const source = newest.properties.source || 'Unknown';
+                cells.push({
+                    type: 'Feature',
+                    geometry: GeoUtils.bboxToPolygon(cell),
+                    properties: {
+                        ...newest.properties,
+                        cellSource: source,
+                        cellSourceLabel: source === 'OpenAerialMap' ? 'OAM' : source.split(' ')[0]
+                    }
+                });
+            }
+        }
+        return cells;
+    },
+
+    /**
+     * Get the age classes used for colouring, in order, with display labels
+     * @returns {Array} [{ key, label, color }] ending with the 'unknown' class
+     */
+    getAgeClassDefinitions() {
+        const c = CONFIG.ageColors;
+        const classes = AgeClasses.get();
+        const ramp = AgeClasses.getScheme().mode === 'ramp';
+
+        // On the ramp a class shows the colour of its middle age (the open-ended class: its lower bound)
+        const classColor = (ageClass, i) => {
+            if (!ramp) return ageClass.color;
+            const lower = i > 0 ? classes[i - 1].maxYears : 0;
+            return AgeClasses.rampColor(ageClass.maxYears === null ? lower : (lower + ageClass.maxYears) / 2);
+        };
+
+        // Imagery newer than a past reference date has no age at that moment
+        const after = this._referenceDate
+            ? [{ key: 'after', label: 'captured after reference date', color: c.after }]
+            : [];
+
+        return [
+            ...after,
+            ...classes.map((ageClass, i) => ({
+                key: `age-${i}`,
+                label: AgeClasses.label(i),
+                color: classColor(ageClass, i)
+            })),
+            { key: 'unknown', label: 'unknown/no coverage', color: c.unknown }
+        ];
+    },
+
+    /**
+     * Calculate area-weighted imagery age coverage for an area of interest
+     * Tiles are clipped to the AOI by sampling it on a regular grid; where tiles
+     * overlap, the newest capture is counted. Sample points with no tile, or a
+     * tile without a date, count as unknown/no coverage.
+     * @param {Array} features - Imagery features (GeoJSON Polygons with parsedDate)
+     * @param {Object} aoiGeometry - GeoJSON Polygon/MultiPolygon of the AOI
+     * @returns {Object|null} { totalKm2, classes: [{ key, label, color, km2, percent }], summary }
+     */
+    calculateAoiCoverage(features, aoiGeometry) {
+        const samples = GeoUtils.sampleGeometry(aoiGeometry, CONFIG.aoiReport.samplePoints);
+        if (samples.length === 0) return null;
+
+        const candidates = (features || [])
+            .map(f => ({ feature: f, bbox: GeoUtils.getBbox(f.geometry) }))
+            .filter(c => c.bbox);
+
+        const classes = this.getAgeClassDefinitions().map(c => ({ ...c, km2: 0, percent: 0 }));
+        const byKey = new Map(classes.map(c => [c.key, c]));
+        let totalKm2 = 0;
+
+        for (const point of samples) {
+            let newest = null;
+            for (const { feature, bbox } of candidates) {
+                if (!GeoUtils.bboxContains(bbox, point.lon, point.lat)) continue;
+                if (!GeoUtils.pointInGeometry(point.lon, point.lat, feature.geometry)) continue;
+
+                const date = feature.properties.parsedDate;
+                if (date && (!newest || date > newest)) newest = date;
+            }
+
+            const key = newest ? this.getAgeClass(newest) : 'unknown';
+            byKey.get(key).km2 += point.areaKm2;
+            totalKm2 += point.areaKm2;
+        }
+
+        for (const c of classes) {
+            c.percent = totalKm2 > 0 ? (c.km2 / totalKm2) * 100 : 0;
+        }
+
+        const summary = classes
+            .filter(c => Math.round(c.percent) > 0)
+            .map(c => `${Math.round(c.percent)}% ${c.label}`)
+            .join(', ');
+
+        return { totalKm2, classes, summary };
+    },
+
+    // ---- Internal helpers ----
+
+    /**
+     * Load the tiles of cells cached within the TTL that aren't loaded yet
+     * A cell missing any of its tiles, or holding tiles too generalised for the zoom, counts as not cached
+     * @param {Array} cells - [{ x, y, z }]
+     * @param {number} offset - maxAllowableOffset wanted for the zoom
+     * @returns {Promise<Object>} { features, missing } - enriched tiles, and the cells to query
+     */
+    async _loadCachedCells(cells, offset) {
+        const cellEntries = await PersistentCache.getEntries('esriCells', cells.map(c => this._cellKey(c)));
+        const fresh = cellEntries.map(e => PersistentCache.isFresh('esriCells', e) ? e.value : null);
+
+        const ids = [...new Set(fresh.filter(Boolean).flat())];
+        const tileEntries = await PersistentCache.getEntries('esriTiles', ids);
+        const tiles = new Map(ids.map((id, i) => [id, tileEntries[i]?.value]));
+
+        const missing = [];
+        const features = [];
+        const seen = new Set();
+        cells.forEach((cell, i) => {
+            if (!fresh[i] || fresh[i].some(id => !tiles.get(id) || !this._isDetailedEnough(tiles.get(id), offset))) {
+                missing.push(cell);
+                return;
+            }
+            for (const id of fresh[i]) {
+                if (!this._needsFetch(id, offset) || seen.has(id)) continue;
+                seen.add(id);
+                const tile = tiles.get(id);
+                features.push(this.withAge(tile, this.parseEsriDate(tile.properties.SRC_DATE)));
+            }
+        });
+
+        if (features.length > 0) {
+            console.log(`Loaded ${features.length} ESRI tiles from the persistent cache`);
+        }
+        return { features, missing };
+    },
+
+    /**
+     * Geometry generalisation for a zoom level: CONFIG.esri.generalizePixels screen pixels in degrees
+     */
+    _maxAllowableOffset(zoom) {
+        return CONFIG.esri.generalizePixels * 360 / (256 * Math.pow(2, zoom));
+    },
+
+    /**
+     * Whether a tile needs fetching: not loaded, or loaded with a geometry over twice as coarse as wanted
+     */
+    _needsFetch(id, offset) {
+        return !this.loadedIds.has(id) || this.loadedIds.get(id) > offset * 2;
+    },
+
+    /**
+     * Whether a cached tile's geometry is detailed enough for an offset (see _needsFetch)
+     */
+    _isDetailedEnough(tile, offset) {
+        return (tile.properties._maxAllowableOffset || 0) <= offset * 2;
+    },
+
+    /**
+     * Convert a query result feature to an enriched GeoJSON tile
+     * @param {number} offset - maxAllowableOffset the geometry was generalised to
+     * @returns {Object|null} null without polygon geometry
+     */
+    _toEsriFeature(f, offset) {
+        if (!f.geometry?.rings) return null;
+
+        const srcDate = f.attributes?.SRC_DATE;
+        return {
+            type: 'Feature',
+            properties: {
+                OBJECTID: f.attributes?.OBJECTID,
+                SRC_DATE: srcDate,
+                SRC_RES: f.attributes?.SRC_RES,
+                SRC_ACC: f.attributes?.SRC_ACC,
+                NICE_NAME: f.attributes?.NICE_NAME,
+                NICE_DESC: f.attributes?.NICE_DESC,
+                ...this.getAgeProperties(this.parseEsriDate(srcDate)),
+                source: 'ESRI World Imagery',
+                _maxAllowableOffset: offset
+            },
+            geometry: {
+                type: 'Polygon',
+                coordinates: f.geometry.rings
+            }
         };
+    },
+
+    /**
+     * Mark tiles as loaded (skipped by later fetches) and wrap them in a FeatureCollection
+     */
+    _markLoaded(features) {
+        features.forEach(f => this.loadedIds.set(f.properties.OBJECTID, f.properties._maxAllowableOffset || 0));
+        return { type: 'FeatureCollection', features: features };
+    },
+
+    /**
+     * Cache fetched tiles and the IDs found over queried cells
+     * Every cell gets all IDs of the query, a superset of those intersecting it
+     */
+    async _cacheCells(cells, objectIds, features) {
+        await PersistentCache.putMany('esriTiles', features.map(f => [f.properties.OBJECTID, f]));
+        await PersistentCache.putMany('esriCells', cells.map(c => [this._cellKey(c), objectIds]));
+    },
+
+    /**
+     * Bounding box of a set of cells
+     * @returns {Array} [west, south, east, north]
+     */
+    _cellsBbox(cells) {
+        const bboxes = cells.map(c => GeoUtils.tileToBbox(c.x, c.y, c.z));
+        return [
+            Math.min(...bboxes.map(b => b[0])),
+            Math.min(...bboxes.map(b => b[1])),
+            Math.max(...bboxes.map(b => b[2])),
+            Math.max(...bboxes.map(b => b[3]))
+        ];
+    },
+
+    /**
+     * Persistent cache key of a cell
+     */
+    _cellKey(cell) {
+        return `${cell.z}/${cell.x}/${cell.y}`;
+    },
+
+    /**
+     * Corners of a cell [west, south, east, north] as [lon, lat]
+     */
+    _cellCorners([west, south, east, north]) {
+        return [[west, south], [east, south], [west, north], [east, north]];
+    },
+
+    /**
+     * Quarters of a cell
+     */
+    _splitCell([west, south, east, north]) {
+        const lon = (west + east) / 2;
+        const lat = (south + north) / 2;
+        return [
+            [west, south, lon, lat], [lon, south, east, lat],
+            [west, lat, lon, north], [lon, lat, east, north]
+        ];
+    },
+
+    /**
+     * Key of a sample point, rounded so corners shared by neighbouring cells match
+     */
+    _pointKey([lon, lat]) {
+        return `${lon.toFixed(9)},${lat.toFixed(9)}`;
+    },
+
+    /**
+     * Sorted OBJECTIDs of the returned tiles containing a point, '' when none does
+     * @param {Map} returned - OBJECTID -> { feature, bbox }
+     */
+    _tilesAt([lon, lat], returned) {
+        const ids = [];
+        for (const [id, { feature, bbox }] of returned) {
+            if (bbox && GeoUtils.bboxContains(bbox, lon, lat) && GeoUtils.pointInGeometry(lon, lat, feature.geometry)) {
+                ids.push(id);
+            }
+        }
+        return ids.sort((a, b) => a - b).join(',');
+    },
+
+    /**
+     * Nearest-rank percentile (p in 0-1) of ascending values
+     */
+    _percentile(sorted, p) {
+        return sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
     }
 };
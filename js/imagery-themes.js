@@ -0,0 +1,157 @@
+/**
+ * "Colour by" themes for osm-carbon-date
+ * Colour imagery by a metre value instead of age: resolution (ESRI/Bing SRC_RES, OAM/STAC gsd)
+ * or positional accuracy (ESRI SRC_ACC). Themes and their classes are defined in CONFIG.themes.
+ * Smaller values are better; a class holds values up to and including its max.
+ */
+
+const ImageryThemes = {
+    /**
+     * Get a theme definition from CONFIG.themes
+     * @returns {Object|null} { name, unit, properties, classes: [{ max, color }], highlight }
+     */
+    get(themeId) {
+        return CONFIG.themes[themeId] || null;
+    },
+
+    /**
+     * The theme value of a feature: the first of the theme's properties holding a positive number
+     * @returns {number|null}
+     */
+    getValue(props, themeId) {
+        for (const property of this.get(themeId).properties) {
+            const value = Number(props[property]);
+            if (props[property] !== null && props[property] !== '' && value > 0) return value;
+        }
+        return null;
+    },
+
+    /**
+     * Index of the class a value falls in
+     */
+    classIndex(value, themeId) {
+        const classes = this.get(themeId).classes;
+        const index = classes.findIndex(c => c.max !== null && value <= c.max);
+        return index === -1 ? classes.length - 1 : index;
+    },
+
+    /**
+     * Classes with display labels, ending with the 'unknown' class
+     * @returns {Array} [{ key, label, color }]
+     */
+    getClassDefinitions(themeId) {
+        const { classes, unit } = this.get(themeId);
+        return [
+            ...classes.map((c, i) => {
+                const lower = i > 0 ? classes[i - 1].max : null;
+                let label = `${lower}–${c.max} ${unit}`;
+                if (lower === null) label = `≤ ${c.max} ${unit}`;
+                if (c.max === null) label = `> ${lower} ${unit}`;
+                return { key: `${themeId}-${i}`, label, color: c.color };
+            }),
+            { key: 'unknown', label: 'unknown', color: CONFIG.ageColors.unknown }
+        ];
+    },
+
+    /**
+     * MapLibre colour expression for the theme (features without a value get the unknown colour)
+     */
+    getColorExpression(themeId) {
+        const classes = this.get(themeId).classes;
+        const value = this._valueExpression(themeId);
+
+        const expression = ['case', ['<=', value, 0], CONFIG.ageColors.unknown];
+        classes.slice(0, -1).forEach(c => expression.push(['<=', value, c.max], c.color));
+        expression.push(classes[classes.length - 1].color);
+        return expression;
+    },
+
+    /**
+     * MapLibre text expression labelling features with their value, e.g. "0.3 m"
+     */
+    getLabelExpression(themeId) {
+        const value = this._valueExpression(themeId);
+        return ['case', ['>', value, 0], ['concat', ['to-string', value], ` ${this.get(themeId).unit}`], ''];
+    },
+
+    /**
+     * Value statistics for a set of features
+     * @returns {Object|null} { count, best, median, worst } - count of features with a value
+     */
+    calculateStats(features, themeId) {
+        const values = features
+            .map(f => this.getValue(f.properties, themeId))
+            .filter(v => v !== null)
+            .sort((a, b) => a - b);
+        if (values.length === 0) return null;
+
+        return {
+            count: values.length,
+            best: values[0],
+            median: values[Math.floor((values.length - 1) / 2)],
+            worst: values[values.length - 1]
+        };
+    },
+
+    /**
+     * Area-weighted distribution of the theme over an area (a project AOI or the viewport)
+     * The area is sampled on a grid (CONFIG.themeCoverage); where features overlap the best
+     * (smallest) value counts, and points without a valued feature count as unknown
+     * @returns {Object|null} { totalKm2, classes: [{ key, label, color, km2, percent }], highlightKm2, highlightPercent }
+     */
+    calculateCoverage(features, geometry, themeId) {
+        const samples = GeoUtils.sampleGeometry(geometry, CONFIG.themeCoverage.samplePoints);
+        if (samples.length === 0) return null;
+
+        const candidates = features
+            .map(f => ({ feature: f, value: this.getValue(f.properties, themeId), bbox: GeoUtils.getBbox(f.geometry) }))
+            .filter(c => c.value !== null && c.bbox);
+
+        const classes = this.getClassDefinitions(themeId).map(c => ({ ...c, km2: 0, percent: 0 }));
+        const unknown = classes[classes.length - 1];
+        const highlight = this.get(themeId).highlight;
+        let totalKm2 = 0;
+        let highlightKm2 = 0;
+
+        for (const point of samples) {
+            let best = null;
+            for (const { feature, value, bbox } of candidates) {
+                if (best !== null && value >= best) continue;
+                if (!GeoUtils.bboxContains(bbox, point.lon, point.lat)) continue;
+                if (GeoUtils.pointInGeometry(point.lon, point.lat, feature.geometry)) best = value;
+            }
+
+            const target = best === null ? unknown : classes[this.classIndex(best, themeId)];
+            target.km2 += point.areaKm2;
+            totalKm2 += point.areaKm2;
+            if (best !== null && best <= highlight) highlightKm2 += point.areaKm2;
+        }
+
+        for (const c of classes) {
+            c.percent = totalKm2 > 0 ? (c.km2 / totalKm2) * 100 : 0;
+        }
+
+        return {
+            totalKm2,
+            classes,
+            highlightKm2,
+            highlightPercent: totalKm2 > 0 ? (highlightKm2 / totalKm2) * 100 : 0
+        };
+    },
+
+    // ---- Internal helpers ----
+
+    /**
+     * Expression for the theme value, -1 when no property holds a positive number
+     */
+    _valueExpression(themeId) {
+        // Like getValue: the first property with a positive value, so 0 and '' fall through
+        const expression = ['case'];
+        for (const property of this.get(themeId).properties) {
+            const value = ['to-number', ['get', property], 0];
+            expression.push(['>', value, 0], value);
+        }
+        expression.push(-1);
+        return expression;
+    }
+};
@@ -0,0 +1,86 @@
+/**
+ * OAM temporal animation for osm-carbon-date
+ * Reveals OpenAerialMap footprints and thumbnails in acquisition order, month by month or
+ * year by year, to show how coverage of an area built up; frames can be captured as PNGs
+ */
+
+const OamAnimation = {
+    // Last day revealed (YYYY-MM-DD) while the animation is running or paused, null shows everything
+    revealUntil: null,
+
+    /**
+     * Build the animation steps spanning the features' acquisition dates
+     * @param {Array} features - Enriched OAM features
+     * @param {string} unit - 'month' or 'year'
+     * @returns {Array} [{ label, until, count }] - until is the step's last day, count the images revealed by then
+     */
+    buildSteps(features, unit) {
+        const dates = features
+            .map(f => f.properties.parsedDate)
+            .filter(Boolean)
+            .sort((a, b) => a - b);
+        if (dates.length === 0) return [];
+
+        const first = dates[0];
+        const last = dates[dates.length - 1];
+        const steps = [];
+        const cursor = new Date(first.getFullYear(), unit === 'month' ? first.getMonth() : 0, 1);
+        let revealed = 0;
+
+        while (cursor <= last) {
+            const next = unit === 'month'
+                ? new Date(cursor.getFullYear(), cursor.getMonth() + 1, 1)
+                : new Date(cursor.getFullYear() + 1, 0, 1);
+            while (revealed < dates.length && dates[revealed] < next) revealed++;
+
+            const start = ImagerySource.formatDate(cursor);
+            steps.push({
+                label: unit === 'month' ? start.slice(0, 7) : start.slice(0, 4),
+                until: ImagerySource.formatDate(new Date(next - 24 * 60 * 60 * 1000)),
+                count: revealed
+            });
+            cursor.setTime(next.getTime());
+        }
+        return steps;
+    },
+
+    /**
+     * Keep the footprints or label centroids acquired by the revealed date (all when inactive)
+     */
+    reveal(items) {
+        if (!this.revealUntil) return items;
+        return items.filter(f => {
+            const date = f.properties.formattedDate;
+            return date && date !== 'Unknown' && date <= this.revealUntil;
+        });
+    },
+
+    /**
+     * Capture the map as a PNG with a date caption
+     * Drawn on the next render, while the WebGL drawing buffer still holds the frame
+     * @returns {Promise<Blob>}
+     */
+    captureFrame(map, caption) {
+        return new Promise((resolve, reject) => {
+            map.once('render', () => {
+                const source = map.getCanvas();
+                const canvas = document.createElement('canvas');
+                canvas.width = source.width;
+                canvas.height = source.height;
+
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(source, 0, 0);
+
+                const size = Math.round(canvas.height / 20);
+                ctx.font = `bold ${size}px sans-serif`;
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+                ctx.fillRect(0, 0, ctx.measureText(caption).width + size, size * 1.6);
+                ctx.fillStyle = '#ffffff';
+                ctx.fillText(caption, size / 2, size * 1.2);
+
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Frame capture failed')), 'image/png');
+            });
+            map.triggerRepaint();
+        });
+    }
+};
@@ -23,14 +23,11 @@ const OamSource = {
      * @returns {Date|null}
      */
     parseOamDate(isoString) {
-        if (!isoString) return null;
-        const d = new Date(isoString);
-        if (isNaN(d.getTime())) return null;
-        return d;
+        return ImagerySource.parseIsoDate(isoString);
     },
 
     /**
-     * Load all OAM images from S3 GeoJSON
+     * Load all OAM images from S3 GeoJSON (or the persistent cache, see _fetchCatalog)
      * Enriches each feature with age color, formatted date, bbox
      * @returns {Promise<{features: Array, centroids: Array}>}
      */
@@ -42,12 +39,7 @@ const OamSource = {
         const url = `${CONFIG.oam.s3Base}/all_images.geojson`;
         console.log('Loading OAM images from', url);
 
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error(`Failed to load OAM data: HTTP ${response.status}`);
-        }
-
-        const geojson = await response.json();
+        const geojson = await this._fetchCatalog(url);
         const rawFeatures = geojson.features || [];
         console.log(`Loaded ${rawFeatures.length} raw OAM features`);
 
@@ -72,14 +64,12 @@ const OamSource = {
 
             // Parse acquisition date
             const acqDate = this.parseOamDate(props.acquisition_start);
-            const ageColor = ImagerySource.getAgeColor(acqDate);
-            const ageClass = ImagerySource.getAgeClass(acqDate);
-            const formattedDate = ImagerySource.formatDate(acqDate);
+            const age = ImagerySource.getAgeProperties(acqDate);
 
             // Force HTTPS on all URLs
             const uuid = props.uuid || props._id || '';
-            const thumbnail = this._httpsify(props.thumbnail || props.properties?.thumbnail || '');
-            const tms = this._httpsify(props.tms || '');
+            const thumbnail = ImagerySource.toHttps(props.thumbnail || props.properties?.thumbnail || '');
+            const tms = ImagerySource.toHttps(props.tms || '');
             const pageUrl = props.pageUrl || (uuid ? `https://map.openaerialmap.org/#/${uuid}` : '');
 
             const enriched = {
@@ -88,11 +78,7 @@ const OamSource = {
                 properties: {
                     ...props,
                     _oamId: uuid || `oam-${this._allFeatures.length}`,
-                    parsedDate: acqDate,
-                    formattedDate: formattedDate,
-                    ageColor: ageColor,
-                    ageClass: ageClass,
-                    ageYears: ImagerySource.getAgeInYears(acqDate),
+                    ...age,
                     thumbnail: thumbnail,
                     tms: tms,
                     pageUrl: pageUrl,
@@ -112,8 +98,10 @@ const OamSource = {
                     geometry: { type: 'Point', coordinates: [cx, cy] },
                     properties: {
                         _oamId: enriched.properties._oamId,
-                        formattedDate: formattedDate,
-                        ageColor: ageColor
+                        formattedDate: age.formattedDate,
+                        ageYears: age.ageYears,
+                        ageColor: age.ageColor,
+                        gsd: props.gsd
                     }
                 });
             }
@@ -124,6 +112,21 @@ const OamSource = {
         return { features: this._allFeatures, centroids: this._allCentroids };
     },
 
+    /**
+     * Recompute footprint and label ages after the age reference date or age classes changed
+     */
+    refreshAges() {
+        ImagerySource.refreshAges(this._allFeatures);
+
+        const byId = new Map(this._allFeatures.map(f => [f.properties._oamId, f.properties]));
+        for (const centroid of this._allCentroids) {
+            const props = byId.get(centroid.properties._oamId);
+            if (!props) continue;
+            centroid.properties.ageYears = props.ageYears;
+            centroid.properties.ageColor = props.ageColor;
+        }
+    },
+
     /**
      * Get features within a bounding box
      * @param {Array} bounds - [west, south, east, north]
@@ -377,32 +380,87 @@ const OamSource = {
     },
 
     /**
-     * Calculate statistics for OAM features (same interface as ESRI)
+     * Find OAM images over an AOI that are newer than the ESRI tiles they overlap
+     * Each image is sampled on a grid clipped to the AOI; the newest ESRI tile at each
+     * sample is the baseline. Samples without an ESRI tile have no baseline and are skipped.
+     * @param {Object} aoiGeometry - GeoJSON Polygon/MultiPolygon of the project AOI
+     * @param {Array} esriFeatures - Enriched ESRI tiles over the AOI
+     * @returns {Array} [{ feature, gainYears, overlapKm2, upgradeKm2, gsd }] where gainYears is the
+     *   area-weighted date gain over the part of the image that is newer than ESRI (upgradeKm2)
      */
-    calculateStats(features) {
-        if (!features || features.length === 0) return null;
-
-        const dates = features
-            .map(f => f.properties.parsedDate)
-            .filter(d => d !== null)
-            .sort((a, b) => a - b);
-
-        if (dates.length === 0) return null;
-
-        const ages = dates.map(d => ImagerySource.getAgeInYears(d));
-        const avgAge = ages.reduce((a, b) => a + b, 0) / ages.length;
-
-        return {
-            count: features.length,
-            oldest: dates[0],
-            newest: dates[dates.length - 1],
-            oldestFormatted: ImagerySource.formatDate(dates[0]),
-            newestFormatted: ImagerySource.formatDate(dates[dates.length - 1]),
-            avgAgeYears: avgAge,
-            avgAgeFormatted: avgAge < 1
-                ? `${Math.round(avgAge * 12)} months`
-                : `${avgAge.toFixed(1)} years`
-        };
+    findUpgrades(aoiGeometry, esriFeatures) {
+        const aoiBbox = GeoUtils.getBbox(aoiGeometry);
+        if (!aoiBbox) return [];
+
+        const tiles = esriFeatures
+            .filter(f => f.properties.parsedDate)
+            .map(f => ({ feature: f, bbox: GeoUtils.getBbox(f.geometry) }))
+            .filter(t => t.bbox && GeoUtils.bboxIntersects(t.bbox, aoiBbox));
+
+        const results = [];
+        for (const f of this._allFeatures) {
+            const date = f.properties.parsedDate;
+            const bbox = f.properties.bbox;
+            if (!date || !bbox || !GeoUtils.bboxIntersects(bbox, aoiBbox)) continue;
+            if (!GeoUtils.geometriesIntersect(f.geometry, aoiGeometry)) continue;
+
+            let overlapKm2 = 0;
+            let upgradeKm2 = 0;
+            let weightedGain = 0;
+
+            for (const point of GeoUtils.sampleGeometry(f.geometry, CONFIG.oam.upgradeSamplePoints)) {
+                if (!GeoUtils.pointInGeometry(point.lon, point.lat, aoiGeometry)) continue;
+                overlapKm2 += point.areaKm2;
+
+                let baseline = null;
+                for (const t of tiles) {
+                    if (!GeoUtils.bboxContains(t.bbox, point.lon, point.lat)) continue;
+                    const tileDate = t.feature.properties.parsedDate;
+                    if (baseline && tileDate <= baseline) continue;
+                    if (GeoUtils.pointInGeometry(point.lon, point.lat, t.feature.geometry)) baseline = tileDate;
+                }
+                if (!baseline || baseline >= date) continue;
+
+                upgradeKm2 += point.areaKm2;
+                weightedGain += (ImagerySource.getAgeInYears(baseline) - ImagerySource.getAgeInYears(date)) * point.areaKm2;
+            }
+
+            if (upgradeKm2 === 0) continue;
+            results.push({
+                feature: f,
+                gainYears: weightedGain / upgradeKm2,
+                overlapKm2: overlapKm2,
+                upgradeKm2: upgradeKm2,
+                gsd: f.properties.gsd ? Number(f.properties.gsd) : null
+            });
+        }
+        return results;
+    },
+
+    /**
+     * Sort upgrade opportunities
+     * @param {Array} upgrades - From findUpgrades
+     * @param {string} sortBy - 'gain' (largest date gain), 'area' (largest upgraded area) or 'gsd' (finest first)
+     * @returns {Array} Sorted copy
+     */
+    rankUpgrades(upgrades, sortBy = 'gain') {
+        const byGain = (a, b) => b.gainYears - a.gainYears;
+        const byArea = (a, b) => b.upgradeKm2 - a.upgradeKm2;
+        const byGsd = (a, b) => (a.gsd ?? Infinity) - (b.gsd ?? Infinity);
+
+        const order = {
+            gain: [byGain, byArea, byGsd],
+            area: [byArea, byGain, byGsd],
+            gsd: [byGsd, byGain, byArea]
+        }[sortBy] || [byGain, byArea, byGsd];
+
+        return upgrades.slice().sort((a, b) => {
+            for (const compare of order) {
+                const diff = compare(a, b);
+                if (diff) return diff;
+            }
+            return 0;
+        });
     },
 
     /**
@@ -416,6 +474,62 @@ const OamSource = {
 
     // ---- Internal helpers ----
 
+    /**
+     * Get the catalog GeoJSON, from the persistent cache while it is within CONFIG.cache.ttlHours.oam
+     * An expired copy is revalidated with If-Modified-Since (304 keeps it). Last-Modified is readable
+     * cross-origin without Access-Control-Expose-Headers, unlike ETag, so it is the only validator used.
+     * The conditional header makes the request CORS-preflighted: if that is refused, the catalog is
+     * fetched plainly and later revalidations are skipped. The copy is also used when the catalog
+     * can't be fetched at all
+     */
+    async _fetchCatalog(url) {
+        const entry = await PersistentCache.getEntry('oamCatalog', url);
+        if (PersistentCache.isFresh('oamCatalog', entry)) {
+            console.log('OAM catalog from persistent cache');
+            return entry.value;
+        }
+
+        const revalidate = !!entry?.meta.lastModified && !entry.meta.noRevalidation;
+        let noRevalidation = !!entry?.meta.noRevalidation;
+        let response = null;
+
+        if (revalidate) {
+            try {
+                response = await fetch(url, { headers: { 'If-Modified-Since': entry.meta.lastModified } });
+            } catch (e) {
+                console.warn('OAM catalog revalidation refused, fetching it plainly:', e);
+                noRevalidation = true;
+            }
+        }
+        if (!response) {
+            try {
+                response = await fetch(url);
+            } catch (e) {
+                if (!entry) throw e;
+                console.warn('OAM catalog unreachable, using cached copy:', e);
+                return entry.value;
+            }
+        }
+
+        if (response.status === 304 && entry) {
+            console.log('OAM catalog not modified, keeping cached copy');
+            await PersistentCache.put('oamCatalog', url, entry.value, entry.meta);
+            return entry.value;
+        }
+        if (!response.ok) {
+            if (!entry) throw new Error(`Failed to load OAM data: HTTP ${response.status}`);
+            console.warn(`OAM catalog HTTP ${response.status}, using cached copy`);
+            return entry.value;
+        }
+
+        const geojson = await response.json();
+        await PersistentCache.put('oamCatalog', url, geojson, {
+            lastModified: response.headers.get('Last-Modified'),
+            noRevalidation: noRevalidation
+        });
+        return geojson;
+    },
+
     /**
      * Calculate bounding box from a GeoJSON geometry
      * @returns {Array|null} [west, south, east, north]
@@ -449,13 +563,5 @@ const OamSource = {
     _bboxArea(bbox) {
         if (!bbox) return 0;
         return (bbox[2] - bbox[0]) * (bbox[3] - bbox[1]);
-    },
-
-    /**
-     * Convert http:// URLs to https://
-     */
-    _httpsify(url) {
-        if (!url) return '';
-        return url.replace(/^http:\/\//i, 'https://');
     }
 };
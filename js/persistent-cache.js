@@ -0,0 +1,153 @@
+/**
+ * Persistent IndexedDB cache for osm-carbon-date
+ * Keeps fetched data across page loads: ESRI tiles (by OBJECTID) and the cells they were queried
+ * for, the OAM catalog and TM project JSON. Entries are { value, savedAt, meta } and expire after
+ * the store's TTL in CONFIG.cache.ttlHours. Without IndexedDB (or on any storage error) reads miss
+ * and writes are dropped, so callers just fall back to the network
+ */
+
+const PersistentCache = {
+    // Object stores, keyed by the CONFIG.cache.ttlHours entry that sets their TTL
+    stores: {
+        esriTiles: 'esri',      // Enriched ESRI tile features by OBJECTID
+        esriCells: 'esri',      // OBJECTIDs intersecting each cell (CONFIG.cache.esriCellZoom) by "z/x/y"
+        oamCatalog: 'oam',      // Raw OAM catalog GeoJSON, with Last-Modified in meta
+        projects: 'projects'    // Raw TM project JSON by project ID
+    },
+    _version: 1,
+    // Promise of the open database (null when IndexedDB is unavailable), opened on first use
+    _db: null,
+
+    /**
+     * Get an entry, fresh or not
+     * @returns {Promise<Object|null>} { value, savedAt, meta }
+     */
+    async getEntry(store, key) {
+        const [entry] = await this.getEntries(store, [key]);
+        return entry;
+    },
+
+    /**
+     * Get several entries in one transaction
+     * @returns {Promise<Array>} Entries in key order, null where missing
+     */
+    async getEntries(store, keys) {
+        const results = await this._run(store, 'readonly', s => keys.map(key => s.get(key)));
+        return results ? results.map(r => r.result || null) : keys.map(() => null);
+    },
+
+    /**
+     * Get a value if it was saved within the store's TTL
+     * @returns {Promise<*|null>}
+     */
+    async get(store, key) {
+        const entry = await this.getEntry(store, key);
+        return this.isFresh(store, entry) ? entry.value : null;
+    },
+
+    /**
+     * Whether an entry was saved within the store's TTL
+     */
+    isFresh(store, entry) {
+        if (!entry) return false;
+        const ttlHours = CONFIG.cache.ttlHours[this.stores[store]];
+        return Date.now() - entry.savedAt < ttlHours * 60 * 60 * 1000;
+    },
+
+    /**
+     * Save a value
+     * @param {Object} meta - Extra data kept with the entry (e.g. HTTP validators)
+     */
+    put(store, key, value, meta = {}) {
+        return this.putMany(store, [[key, value]], meta);
+    },
+
+    /**
+     * Save several values in one transaction
+     * @param {Array} entries - [[key, value]]
+     */
+    async putMany(store, entries, meta = {}) {
+        const savedAt = Date.now();
+        await this._run(store, 'readwrite', s => entries.map(([key, value]) => s.put({ value, savedAt, meta }, key)));
+    },
+
+    /**
+     * Number of entries in each store
+     * @returns {Promise<Object>} { store: count }
+     */
+    async count() {
+        const counts = {};
+        for (const store of Object.keys(this.stores)) {
+            const [request] = await this._run(store, 'readonly', s => [s.count()]) || [];
+            counts[store] = request ? request.result : 0;
+        }
+        return counts;
+    },
+
+    /**
+     * Delete every entry in every store
+     */
+    async clear() {
+        for (const store of Object.keys(this.stores)) {
+            await this._run(store, 'readwrite', s => [s.clear()]);
+        }
+    },
+
+    // ---- Internal helpers ----
+
+    /**
+     * Open (and on first use create) the database
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    _open() {
+        if (!this._db) {
+            this._db = new Promise((resolve) => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open(CONFIG.cache.dbName, this._version);
+                request.onupgradeneeded = () => {
+                    for (const store of Object.keys(this.stores)) {
+                        if (!request.result.objectStoreNames.contains(store)) {
+                            request.result.createObjectStore(store);
+                        }
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('IndexedDB cache unavailable:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this._db;
+    },
+
+    /**
+     * Run requests in a transaction on one store
+     * @param {Function} makeRequests - (objectStore) => [IDBRequest]
+     * @returns {Promise<Array|null>} The completed requests, or null when the cache is unavailable or failed
+     */
+    async _run(store, mode, makeRequests) {
+        const db = await this._open();
+        if (!db) return null;
+
+        return new Promise((resolve) => {
+            try {
+                const tx = db.transaction(store, mode);
+                const requests = makeRequests(tx.objectStore(store));
+                tx.oncomplete = () => resolve(requests);
+                tx.onerror = () => {
+                    console.warn(`IndexedDB ${store} ${mode} failed:`, tx.error);
+                    resolve(null);
+                };
+                tx.onabort = () => resolve(null);
+            } catch (e) {
+                console.warn(`IndexedDB ${store} ${mode} failed:`, e);
+                resolve(null);
+            }
+        });
+    }
+};
@@ -0,0 +1,210 @@
+/**
+ * Best-imagery recommendation for osm-carbon-date
+ * Scores every known imagery source over a TM project AOI by coverage, age and resolution
+ */
+
+const ImageryRecommendation = {
+    /**
+     * Build the candidate sources for an AOI
+     * - Basemaps in CONFIG.basemaps with a metadataSource, scored on the loaded tiles of that source
+     *   (ESRI World Imagery as the selected Wayback release, if any)
+     * - Each OAM image intersecting the AOI (when the OAM catalog is loaded)
+     * @param {Object} aoiGeometry - GeoJSON Polygon/MultiPolygon
+     * @param {Array} tileFeatures - Loaded enriched tiles (ESRI, Bing)
+     * @returns {Array} [{ name, kind, features, tileUrl, maxZoom, metadataSource }]
+     */
+    buildCandidates(aoiGeometry, tileFeatures) {
+        const candidates = [];
+
+        for (const [basemapId, basemap] of Object.entries(CONFIG.basemaps)) {
+            if (!basemap.metadataSource) continue;
+            // With a Wayback release selected the loaded ESRI tiles describe that release's imagery
+            const release = basemapId === 'esri-imagery' ? WaybackSource.activeRelease : null;
+            candidates.push({
+                name: release ? `${basemap.name} (Wayback ${release.date})` : basemap.name,
+                kind: 'basemap',
+                features: (tileFeatures || []).filter(f => f.properties.source === basemap.metadataSource),
+                tileUrl: release ? release.tileUrl : basemap.tiles[0],
+                maxZoom: basemap.maxzoom,
+                metadataSource: basemap.metadataSource
+            });
+        }
+
+        if (OamSource._loaded) {
+            const aoiBbox = GeoUtils.getBbox(aoiGeometry);
+            for (const f of OamSource._allFeatures) {
+                const p = f.properties;
+                if (!p.tms || !p.bbox || !GeoUtils.bboxIntersects(p.bbox, aoiBbox)) continue;
+                if (!GeoUtils.geometriesIntersect(f.geometry, aoiGeometry)) continue;
+
+                candidates.push({
+                    name: `OAM: ${p.title || p.provider || p._oamId}`,
+                    kind: 'oam',
+                    features: [f],
+                    tileUrl: p.tms,
+                    maxZoom: CONFIG.recommendation.oamMaxZoom
+                });
+            }
+        }
+
+        return candidates;
+    },
+
+    /**
+     * Score candidates over an AOI and sort them best first
+     * At each AOI sample the candidate's newest covering feature gives age and resolution.
+     * Age and resolution are weighted by coverage, so a small fresh image can't outrank
+     * a source covering the whole AOI.
+     * @returns {Array} Candidates with { score, coverage, ageYears, resolution, reasons }
+     */
+    recommend(aoiGeometry, candidates) {
+        const samples = GeoUtils.sampleGeometry(aoiGeometry, CONFIG.recommendation.samplePoints);
+        const totalKm2 = samples.reduce((sum, s) => sum + s.areaKm2, 0);
+        if (totalKm2 === 0) return [];
+
+        const scored = candidates
+            .map(c => ({ ...c, ...this._measure(c.features, samples, totalKm2) }))
+            .map(c => ({ ...c, score: this._score(c) }))
+            .sort((a, b) => b.score - a.score);
+
+        scored.forEach((c, i) => {
+            c.reasons = this._explain(c, scored[i === 0 ? 1 : 0]);
+        });
+        return scored;
+    },
+
+    /**
+     * Compare a project's configured imagery (TmApi.parseImagery) with the other sources over its AOI
+     * Only imagery with metadata (ESRI, Bing, OAM) can be assessed; Mapbox and custom URLs can't.
+     * @param {Object} aoiGeometry - GeoJSON Polygon/MultiPolygon
+     * @param {Object} configured - Parsed project imagery
+     * @param {Array} tileFeatures - Loaded enriched tiles (ESRI, Bing)
+     * @returns {Object|null} { configured, newer } - scored candidates; newer is the freshest source
+     *   covering enough of the AOI at least CONFIG.projectImagery.newerThresholdYears newer, or null
+     */
+    checkConfigured(aoiGeometry, configured, tileFeatures) {
+        if (!configured || !aoiGeometry) return null;
+
+        const candidates = this.buildCandidates(aoiGeometry, tileFeatures);
+        let own = candidates.find(c => configured.metadataSource
+            ? c.metadataSource === configured.metadataSource
+            : c.kind === 'oam' && c.tileUrl === configured.tileUrl);
+
+        // Sources without a basemap entry (Bing) are measured straight from their loaded tiles
+        if (!own && configured.metadataSource) {
+            own = {
+                name: configured.label,
+                kind: 'basemap',
+                features: (tileFeatures || []).filter(f => f.properties.source === configured.metadataSource),
+                metadataSource: configured.metadataSource
+            };
+            candidates.push(own);
+        }
+        if (!own) return null;
+
+        const ranked = this.recommend(aoiGeometry, candidates);
+        const ownScored = ranked.find(c => c.name === own.name && c.kind === own.kind);
+        if (!ownScored || ownScored.coverage === 0) return null;
+
+        const { newerThresholdYears, minCoverage } = CONFIG.projectImagery;
+        const newer = ranked
+            .filter(c => c !== ownScored && c.coverage >= minCoverage &&
+                ownScored.ageYears - c.ageYears >= newerThresholdYears)
+            .sort((a, b) => a.ageYears - b.ageYears)[0] || null;
+
+        return { configured: ownScored, newer };
+    },
+
+    /**
+     * Format a tile URL for the TM "imagery" field (JOSM syntax: tms[maxZoom]:url with {zoom})
+     */
+    toTmImagery(tileUrl, maxZoom) {
+        const url = tileUrl.replace(/\{z\}/g, '{zoom}');
+        return `tms[${maxZoom || 22}]:${url}`;
+    },
+
+    // ---- Internal helpers ----
+
+    /**
+     * Area-weighted coverage, age and resolution of a candidate's features over the AOI samples
+     */
+    _measure(features, samples, totalKm2) {
+        const items = features
+            .filter(f => f.properties.parsedDate)
+            .map(f => ({ feature: f, bbox: GeoUtils.getBbox(f.geometry) }))
+            .filter(i => i.bbox);
+
+        let coveredKm2 = 0;
+        let ageSum = 0;
+        let resKm2 = 0;
+        let resSum = 0;
+
+        for (const point of samples) {
+            let newest = null;
+            for (const { feature, bbox } of items) {
+                if (!GeoUtils.bboxContains(bbox, point.lon, point.lat)) continue;
+                if (newest && feature.properties.parsedDate <= newest.properties.parsedDate) continue;
+                if (GeoUtils.pointInGeometry(point.lon, point.lat, feature.geometry)) newest = feature;
+            }
+            if (!newest) continue;
+
+            coveredKm2 += point.areaKm2;
+            ageSum += ImagerySource.getAgeInYears(newest.properties.parsedDate) * point.areaKm2;
+
+            const resolution = Number(newest.properties.SRC_RES ?? newest.properties.gsd);
+            if (resolution > 0) {
+                resKm2 += point.areaKm2;
+                resSum += resolution * point.areaKm2;
+            }
+        }
+
+        return {
+            coverage: coveredKm2 / totalKm2,
+            ageYears: coveredKm2 > 0 ? ageSum / coveredKm2 : null,
+            resolution: resKm2 > 0 ? resSum / resKm2 : null
+        };
+    },
+
+    /**
+     * Score 0-100 from coverage, age (linear to zero at ageHorizonYears) and resolution
+     * (full marks at targetResolution or finer; unknown resolution scores half)
+     */
+    _score(c) {
+        const { weights, ageHorizonYears, targetResolution } = CONFIG.recommendation;
+        if (c.coverage === 0) return 0;
+
+        // Imagery newer than a past age reference date has a negative age; cap it at full marks
+        const ageScore = Math.min(1, Math.max(0, 1 - c.ageYears / ageHorizonYears));
+        const resScore = c.resolution ? Math.min(1, targetResolution / c.resolution) : 0.5;
+
+        return 100 * c.coverage * (weights.coverage + weights.age * ageScore + weights.resolution * resScore);
+    },
+
+    /**
+     * Human-readable reasons for a candidate's score, compared with another candidate
+     */
+    _explain(c, other) {
+        const reasons = [];
+
+        if (c.coverage === 0) {
+            reasons.push(c.kind === 'basemap'
+                ? 'No metadata loaded over the AOI (run "Scan whole project")'
+                : 'Does not cover the AOI');
+            return reasons;
+        }
+
+        reasons.push(`Covers ${Math.round(c.coverage * 100)}% of the AOI`);
+        reasons.push(c.ageYears < 1
+            ? `Imagery is on average ${Math.round(c.ageYears * 12)} months old`
+            : `Imagery is on average ${c.ageYears.toFixed(1)} years old`);
+        reasons.push(c.resolution
+            ? `Average resolution ${c.resolution.toFixed(2)} m`
+            : 'Resolution unknown');
+
+        if (other) {
+            const comparison = c.score >= other.score ? 'ahead of' : 'behind';
+            reasons.push(`Scores ${Math.round(c.score)}, ${comparison} ${other.name} (${Math.round(other.score)})`);
+        }
+        return reasons;
+    }
+};
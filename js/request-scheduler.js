@@ -0,0 +1,153 @@
+/**
+ * Shared request scheduler for osm-carbon-date
+ * Runs imagery metadata requests with bounded concurrency (CONFIG.requests), retries 429 and 5xx
+ * responses with exponential backoff, and drops requests whose AbortSignal fires while they are
+ * queued, running or waiting to retry (e.g. requests for a viewport the user has panned away from)
+ */
+
+const RequestScheduler = {
+    // Requests running now
+    _active: 0,
+    // Requests waiting for a free slot: [{ task, resolve, reject, signal, onAbort }]
+    _queue: [],
+    // Callbacks notified when the counts change
+    _listeners: [],
+
+    /**
+     * fetch() through the scheduler
+     * @param {string} url
+     * @param {Object} options - fetch options; options.signal cancels the request at any stage
+     * @returns {Promise<Response>} The last response, which may still be an error once retries run out
+     * @throws {DOMException} AbortError when cancelled
+     */
+    async fetch(url, options = {}) {
+        const { maxRetries } = CONFIG.requests;
+
+        for (let attempt = 0; ; attempt++) {
+            const response = await this._schedule(() => fetch(url, options), options.signal);
+            if (!this._isRetryable(response.status) || attempt >= maxRetries) return response;
+
+            const delay = this._retryDelay(response, attempt);
+            console.warn(`HTTP ${response.status}, retry ${attempt + 1}/${maxRetries} in ${delay} ms:`, url);
+            await this._wait(delay, options.signal);
+        }
+    },
+
+    /**
+     * Requests running and waiting for a slot
+     * @returns {Object} { active, queued }
+     */
+    getPending() {
+        return { active: this._active, queued: this._queue.length };
+    },
+
+    /**
+     * Call a listener with getPending() whenever the counts change
+     */
+    onChange(listener) {
+        this._listeners.push(listener);
+    },
+
+    /**
+     * Whether an error is a cancellation rather than a failure
+     */
+    isAbortError(error) {
+        return error?.name === 'AbortError';
+    },
+
+    // ---- Internal helpers ----
+
+    /**
+     * Queue a task and run it when a slot is free
+     * @param {Function} task - Returns a promise
+     */
+    _schedule(task, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(this._abortError());
+                return;
+            }
+
+            const entry = { task, resolve, reject, signal };
+            entry.onAbort = () => {
+                const index = this._queue.indexOf(entry);
+                if (index === -1) return;
+                this._queue.splice(index, 1);
+                this._notify();
+                reject(this._abortError());
+            };
+            signal?.addEventListener('abort', entry.onAbort);
+
+            this._queue.push(entry);
+            this._next();
+        });
+    },
+
+    /**
+     * Start queued tasks while slots are free
+     */
+    _next() {
+        while (this._active < CONFIG.requests.maxConcurrent && this._queue.length > 0) {
+            const entry = this._queue.shift();
+            entry.signal?.removeEventListener('abort', entry.onAbort);
+
+            this._active++;
+            entry.task()
+                .then(entry.resolve, entry.reject)
+                .finally(() => {
+                    this._active--;
+                    this._next();
+                });
+        }
+        this._notify();
+    },
+
+    _notify() {
+        const pending = this.getPending();
+        for (const listener of this._listeners) listener(pending);
+    },
+
+    /**
+     * Rate limiting and server errors are worth retrying; other statuses won't change
+     */
+    _isRetryable(status) {
+        return status === 429 || status >= 500;
+    },
+
+    /**
+     * Milliseconds to wait before a retry: the server's Retry-After (seconds) if given, else
+     * backoffMs doubling per attempt up to maxBackoffMs, plus jitter so parallel retries spread out
+     */
+    _retryDelay(response, attempt) {
+        const { backoffMs, maxBackoffMs } = CONFIG.requests;
+        const retryAfter = Number(response.headers?.get('Retry-After'));
+        if (retryAfter > 0) return Math.min(retryAfter * 1000, maxBackoffMs);
+        return Math.min(backoffMs * Math.pow(2, attempt), maxBackoffMs) + Math.round(Math.random() * backoffMs);
+    },
+
+    /**
+     * Resolve after a delay, or reject early if the signal fires
+     */
+    _wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(this._abortError());
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            if (signal?.aborted) {
+                onAbort();
+                return;
+            }
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    },
+
+    _abortError() {
+        return new DOMException('Request cancelled', 'AbortError');
+    }
+};
@@ -0,0 +1,208 @@
+/**
+ * STAC API imagery source for osm-carbon-date
+ * Searches a configurable STAC API (Sentinel-2, Maxar Open Data, custom catalogs)
+ * for item footprints in the viewport
+ * https://github.com/radiantearth/stac-api-spec
+ */
+
+const StacSource = {
+    // All enriched items fetched so far, keyed by _stacId
+    _features: new Map(),
+    // Centroid points for labels, keyed by _stacId
+    _centroids: new Map(),
+
+    /**
+     * Search the STAC API for items intersecting a bbox, following "next" links
+     * @param {Array} bounds - [west, south, east, north]
+     * @param {AbortSignal} signal - Optional: cancels the search (it then rejects with an AbortError)
+     * @returns {Promise<Array>} Newly fetched enriched features
+     */
+    async search(bounds, signal) {
+        const body = {
+            bbox: bounds.map(v => Number(v.toFixed(6))),
+            collections: CONFIG.stac.collections,
+            datetime: this._getDatetimeRange(),
+            limit: CONFIG.stac.pageLimit
+        };
+        if (CONFIG.stac.query) body.query = CONFIG.stac.query;
+        if (CONFIG.stac.sortby) body.sortby = CONFIG.stac.sortby;
+
+        let request = { url: `${CONFIG.stac.apiRoot}/search`, method: 'POST', body: body };
+        const newFeatures = [];
+        let fetched = 0;
+
+        while (request && fetched < CONFIG.stac.maxItems) {
+            const page = await this._fetchPage(request, signal);
+            const items = page.features || [];
+            fetched += items.length;
+
+            for (const item of items) {
+                const enriched = this._enrich(item);
+                if (this._features.has(enriched.properties._stacId)) continue;
+
+                this._features.set(enriched.properties._stacId, enriched);
+                const centroid = this._toCentroid(enriched);
+                if (centroid) this._centroids.set(enriched.properties._stacId, centroid);
+                newFeatures.push(enriched);
+            }
+
+            request = items.length > 0 ? this._getNextRequest(page, request) : null;
+        }
+
+        this._prune(bounds);
+        console.log(`STAC search: ${fetched} items, ${newFeatures.length} new`);
+        return newFeatures;
+    },
+
+    /**
+     * Get fetched features within a bounding box
+     * @param {Array} bounds - [west, south, east, north]
+     */
+    getFeaturesInBounds(bounds) {
+        return [...this._features.values()].filter(f =>
+            f.properties.bbox && GeoUtils.bboxIntersects(f.properties.bbox, bounds)
+        );
+    },
+
+    /**
+     * Recompute item and label ages after the age reference date or age classes changed
+     */
+    refreshAges() {
+        ImagerySource.refreshAges(this._features.values());
+
+        for (const [stacId, centroid] of this._centroids) {
+            const feature = this._features.get(stacId);
+            if (!feature) continue;
+            centroid.properties.ageYears = feature.properties.ageYears;
+            centroid.properties.ageColor = feature.properties.ageColor;
+        }
+    },
+
+    /**
+     * Get a fetched item by _stacId
+     * @returns {Object|null}
+     */
+    getFeature(stacId) {
+        return this._features.get(stacId) || null;
+    },
+
+    /**
+     * Get centroids within a bounding box
+     * @param {Array} bounds - [west, south, east, north]
+     */
+    getCentroidsInBounds(bounds) {
+        return [...this._centroids.values()].filter(f => {
+            const [cx, cy] = f.geometry.coordinates;
+            return GeoUtils.bboxContains(bounds, cx, cy);
+        });
+    },
+
+    // ---- Internal helpers ----
+
+    /**
+     * Fetch one page of search results
+     */
+    async _fetchPage(request, signal) {
+        const options = { method: request.method, signal: signal, headers: { 'Accept': 'application/geo+json' } };
+        if (request.method === 'POST') {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(request.body);
+        }
+
+        const response = await RequestScheduler.fetch(request.url, options);
+        if (!response.ok) {
+            throw new Error(`STAC search failed: HTTP ${response.status}`);
+        }
+        return response.json();
+    },
+
+    /**
+     * Build the request for the next page from the "next" link, if any
+     * POST links carry a body (optionally merged into the previous one); GET links are plain URLs
+     */
+    _getNextRequest(page, previous) {
+        const next = (page.links || []).find(l => l.rel === 'next');
+        if (!next || !next.href) return null;
+
+        const method = (next.method || 'GET').toUpperCase();
+        if (method === 'POST') {
+            const body = next.merge ? { ...previous.body, ...next.body } : (next.body || previous.body);
+            return { url: next.href, method: 'POST', body: body };
+        }
+        return { url: next.href, method: 'GET' };
+    },
+
+    /**
+     * Forget the oldest fetched items outside the viewport once more than CONFIG.stac.maxCachedItems
+     * are kept, so panning around doesn't grow the cache without bound
+     */
+    _prune(bounds) {
+        let excess = this._features.size - CONFIG.stac.maxCachedItems;
+        for (const [stacId, feature] of this._features) {
+            if (excess <= 0) break;
+            if (feature.properties.bbox && GeoUtils.bboxIntersects(feature.properties.bbox, bounds)) continue;
+            this._features.delete(stacId);
+            this._centroids.delete(stacId);
+            excess--;
+        }
+    },
+
+    /**
+     * RFC 3339 interval covering the configured maximum imagery age, open-ended
+     */
+    _getDatetimeRange() {
+        const from = new Date();
+        from.setFullYear(from.getFullYear() - CONFIG.stac.maxAgeYears);
+        return `${from.toISOString()}/..`;
+    },
+
+    /**
+     * Enrich a STAC item like OAM footprints: age colour, formatted date, bbox, thumbnail
+     */
+    _enrich(item) {
+        const props = item.properties || {};
+        const assets = item.assets || {};
+
+        const acqDate = ImagerySource.parseIsoDate(props.datetime || props.start_datetime);
+        const bbox = item.bbox && item.bbox.length === 4 ? item.bbox : GeoUtils.getBbox(item.geometry);
+        const thumbnailAsset = assets.thumbnail || assets.rendered_preview || assets.overview;
+        const selfLink = (item.links || []).find(l => l.rel === 'self');
+
+        return {
+            type: 'Feature',
+            geometry: item.geometry,
+            properties: {
+                ...props,
+                _stacId: `${item.collection}/${item.id}`,
+                itemId: item.id,
+                collection: item.collection,
+                ...ImagerySource.getAgeProperties(acqDate),
+                cloudCover: props['eo:cloud_cover'],
+                thumbnail: thumbnailAsset ? ImagerySource.toHttps(thumbnailAsset.href) : '',
+                pageUrl: selfLink ? selfLink.href : '',
+                bbox: bbox,
+                source: 'STAC'
+            }
+        };
+    },
+
+    /**
+     * Create a label point at the bbox centre of an enriched item
+     */
+    _toCentroid(feature) {
+        const bbox = feature.properties.bbox;
+        if (!bbox) return null;
+
+        return {
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [(bbox[0] + bbox[2]) / 2, (bbox[1] + bbox[3]) / 2] },
+            properties: {
+                _stacId: feature.properties._stacId,
+                formattedDate: feature.properties.formattedDate,
+                ageYears: feature.properties.ageYears,
+                ageColor: feature.properties.ageColor,
+                gsd: feature.properties.gsd
+            }
+        };
+    }
+};
@@ -0,0 +1,18 @@
+/**
+ * Text helpers shared by the osm-carbon-date modules
+ */
+
+const TextUtils = {
+    /**
+     * Escape text for HTML or XML content and attribute values
+     * (anything remote or user-supplied: TM project fields, OAM titles, index entries...)
+     */
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+};
@@ -4,7 +4,7 @@
  */
 
 const TmApi = {
-    // Simple in-memory cache for project data
+    // Simple in-memory cache for project data (project JSON also persists in PersistentCache)
     _cache: new Map(),
     _cacheTimeout: 5 * 60 * 1000, // 5 minutes
 
@@ -27,6 +27,13 @@ const TmApi = {
         this._cache.set(key, { data, timestamp: Date.now() });
     },
 
+    /**
+     * Drop the in-memory cache (the persistent one is cleared by PersistentCache.clear)
+     */
+    clearCache() {
+        this._cache.clear();
+    },
+
     /**
      * Fetch recent TM projects from insta-tm all_projects.geojson
      * @param {number} limit - Number of projects to fetch
@@ -93,6 +100,7 @@ const TmApi = {
 
     /**
      * Fetch a TM project by ID from insta-tm
+     * Served from the persistent cache when fetched within CONFIG.cache.ttlHours.projects
      * @param {number} projectId
      * @returns {Promise<Object>} Project data with geometry
      */
@@ -101,6 +109,14 @@ const TmApi = {
         const cached = this._getCache(cacheKey);
         if (cached) return cached;
 
+        const stored = await PersistentCache.get('projects', String(projectId));
+        if (stored) {
+            console.log('Persistent cache hit:', cacheKey);
+            const result = this.processProject(stored);
+            this._setCache(cacheKey, result);
+            return result;
+        }
+
         console.log(`Fetching project #${projectId} from insta-tm...`);
 
         const url = `${CONFIG.tmApi.s3Base}/api/v2/projects/${projectId}`;
@@ -121,6 +137,7 @@ const TmApi = {
             const data = await response.json();
             const result = this.processProject(data);
             this._setCache(cacheKey, result);
+            await PersistentCache.put('projects', String(projectId), data);
             return result;
 
         } catch (error) {
@@ -145,16 +162,63 @@ const TmApi = {
             percentMapped: data.percentMapped,
             percentValidated: data.percentValidated,
             totalTasks: totalTasks,
+            tasks: data.tasks || null,
             created: data.created,
             lastUpdated: data.lastUpdated,
             author: data.author,
             organisation: data.organisationName,
+            imagery: this.parseImagery(data.imagery),
             geometry: data.areaOfInterest,
             centroid: data.aoiCentroid,
             url: `${CONFIG.tmApi.projectUrl}/${data.projectId}`
         };
     },
 
+    /**
+     * Parse the project's imagery setting (the background TM tells mappers to use)
+     * Values are a provider keyword (e.g. "Bing", "EsriWorldImagery", "Mapbox") or a
+     * JOSM-style URL such as "tms[1,22]:https://.../{zoom}/{x}/{y}.png"
+     * @returns {Object|null} { raw, provider, label, tileUrl, maxZoom, metadataSource }
+     *   provider: 'esri' | 'bing' | 'mapbox' | 'oam' | 'custom'
+     *   metadataSource: source name of the loaded tiles describing this imagery, if any
+     */
+    parseImagery(value) {
+        const raw = typeof value === 'string' ? value.trim() : '';
+        if (!raw) return null;
+
+        // Optional tms[min,max]: / wms: prefix in front of a URL
+        const prefixed = /^(tms|wms)(?:\[(?:\d+,)?(\d+)\])?:(.+)$/i.exec(raw);
+        const url = prefixed ? prefixed[3] : (/^https?:\/\//i.test(raw) ? raw : null);
+        const tileUrl = url ? url.replace(/\{zoom\}/g, '{z}') : null;
+        const maxZoom = prefixed?.[2] ? Number(prefixed[2]) : null;
+        const key = (url || raw).toLowerCase();
+
+        const result = { raw, tileUrl, maxZoom, metadataSource: null };
+
+        if (/^esri/.test(key) || /arcgisonline\.com\/.*world_imagery/.test(key)) {
+            return { ...result, provider: 'esri', label: 'Esri World Imagery', metadataSource: 'ESRI World Imagery' };
+        }
+        if (/^bing/.test(key) || /virtualearth\.net|tiles\.bing\.com/.test(key)) {
+            return { ...result, provider: 'bing', label: 'Bing Maps Aerial', metadataSource: 'Bing Maps Aerial' };
+        }
+        if (/^mapbox/.test(key) || /mapbox\.com/.test(key)) {
+            return { ...result, provider: 'mapbox', label: 'Mapbox Satellite' };
+        }
+        if (/openaerialmap\.org/.test(key)) {
+            return { ...result, provider: 'oam', label: 'OpenAerialMap' };
+        }
+
+        let label = raw;
+        if (url) {
+            try {
+                label = `Custom ${prefixed ? prefixed[1].toUpperCase() : 'TMS'} (${new URL(url.replace(/[{}]/g, '')).hostname})`;
+            } catch (e) {
+                label = 'Custom imagery';
+            }
+        }
+        return { ...result, provider: 'custom', label };
+    },
+
     /**
      * Convert project geometry to GeoJSON Feature
      */
@@ -173,6 +237,15 @@ const TmApi = {
         };
     },
 
+    /**
+     * Format a TM task status (e.g. LOCKED_FOR_MAPPING) for display
+     */
+    formatTaskStatus(status) {
+        if (!status) return 'Unknown';
+        const text = status.replace(/_/g, ' ').toLowerCase();
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    },
+
     /**
      * Get the bounds of a project geometry
      * @returns {Array} [west, south, east, north]
@@ -203,8 +276,9 @@ const TmApi = {
 
     /**
      * Format project info for display
+     * @param {Object} imageryCheck - Optional result of ImageryRecommendation.checkConfigured
      */
-    formatProjectInfo(project) {
+    formatProjectInfo(project, imageryCheck) {
         const statusColors = {
             'DRAFT': '#9ca3af',
             'PUBLISHED': '#22c55e',
@@ -214,7 +288,7 @@ const TmApi = {
         return `
             <div class="info-row">
                 <span class="info-label">Name</span>
-                <span class="info-value">${project.name}</span>
+                <span class="info-value">${TextUtils.escapeHtml(project.name)}</span>
             </div>
             <div class="info-row">
                 <span class="info-label">Status</span>
@@ -235,7 +309,20 @@ const TmApi = {
             ${project.organisation ? `
             <div class="info-row">
                 <span class="info-label">Organisation</span>
-                <span class="info-value">${project.organisation}</span>
+                <span class="info-value">${TextUtils.escapeHtml(project.organisation)}</span>
+            </div>
+            ` : ''}
+            ${project.imagery ? `
+            <div class="info-row">
+                <span class="info-label">Imagery</span>
+                <span class="info-value" title="${TextUtils.escapeHtml(project.imagery.raw)}">${TextUtils.escapeHtml(project.imagery.label)}</span>
+            </div>
+            ` : ''}
+            ${imageryCheck?.newer ? `
+            <div class="info-warning">
+                ${TextUtils.escapeHtml(imageryCheck.newer.name)} covers ${Math.round(imageryCheck.newer.coverage * 100)}% of the AOI
+                with imagery ${(imageryCheck.configured.ageYears - imageryCheck.newer.ageYears).toFixed(1)} years newer
+                on average than the configured ${TextUtils.escapeHtml(project.imagery.label)}
             </div>
             ` : ''}
             <a href="${project.url}" target="_blank" class="btn-link">Open in Tasking Manager</a>
@@ -0,0 +1,187 @@
+/**
+ * Esri World Imagery Wayback integration for osm-carbon-date
+ * Lists historical World Imagery releases and queries each release's metadata service
+ * https://livingatlas.arcgis.com/wayback/
+ */
+
+const WaybackSource = {
+    // All releases, sorted oldest first: [{ releaseNum, date, title, tileUrl, metadataUrl }]
+    _releases: [],
+    // Whether the release catalogue has been loaded
+    _loaded: false,
+    // Currently selected release (null = live World Imagery)
+    activeRelease: null,
+    // Cache of loaded imagery IDs for the active release
+    loadedIds: new Set(),
+
+    /**
+     * Load the Wayback release catalogue
+     * @returns {Promise<Array>} Releases sorted oldest first
+     */
+    async loadReleases() {
+        if (this._loaded) return this._releases;
+
+        const response = await fetch(CONFIG.wayback.configUrl);
+        if (!response.ok) {
+            throw new Error(`Failed to load Wayback releases: HTTP ${response.status}`);
+        }
+
+        const catalogue = await response.json();
+
+        this._releases = Object.entries(catalogue)
+            .map(([releaseNum, item]) => {
+                // Release date is only given in the title, e.g. "World Imagery (Wayback 2014-02-20)"
+                const match = /(\d{4}-\d{2}-\d{2})/.exec(item.itemTitle || '');
+                return {
+                    releaseNum: Number(releaseNum),
+                    date: match ? match[1] : null,
+                    title: item.itemTitle,
+                    tileUrl: (item.itemURL || '')
+                        .replace('{level}', '{z}')
+                        .replace('{row}', '{y}')
+                        .replace('{col}', '{x}'),
+                    metadataUrl: item.metadataLayerUrl
+                };
+            })
+            .filter(r => r.date && r.tileUrl && r.metadataUrl)
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        this._loaded = true;
+        console.log(`Loaded ${this._releases.length} Wayback releases`);
+        return this._releases;
+    },
+
+    /**
+     * Select a release by number (null/undefined = live World Imagery)
+     */
+    setActiveRelease(releaseNum) {
+        this.activeRelease = this._releases.find(r => r.releaseNum === releaseNum) || null;
+        this.clearCache();
+        return this.activeRelease;
+    },
+
+    /**
+     * Clear the loaded IDs cache (call when zooming out or switching release)
+     */
+    clearCache() {
+        this.loadedIds.clear();
+    },
+
+    /**
+     * Get the metadata layer for a zoom level
+     * Each release's metadata service has one layer per zoom, from z23 (layer 0) down to z10
+     */
+    getMetadataLayerId(zoom) {
+        const maxZoom = 23;
+        const minZoom = 10;
+        const z = Math.min(Math.max(Math.round(zoom), minZoom), maxZoom);
+        return maxZoom - z;
+    },
+
+    /**
+     * Fetch imagery metadata polygons of the active release for a bbox
+     * Pages with resultOffset/resultRecordCount while the server reports more results than it returned.
+     * Results arriving after another release was selected are dropped
+     * @param {Array} bounds - [west, south, east, north] in EPSG:4326
+     * @param {number} zoom - current zoom level
+     * @param {AbortSignal} signal - Optional: cancels the fetch (it then rejects with an AbortError)
+     * @returns {Promise<Object>} GeoJSON FeatureCollection with date info
+     */
+    async fetchMetadata(bounds, zoom, signal) {
+        const release = this.activeRelease;
+        if (!release) return { type: 'FeatureCollection', features: [] };
+
+        const url = `${release.metadataUrl}/${this.getMetadataLayerId(zoom)}/query`;
+
+        try {
+            const results = [];
+            for (let resultOffset = 0; ; ) {
+                const params = new URLSearchParams({
+                    f: 'json',
+                    where: '1=1',
+                    geometry: bounds.join(','),
+                    geometryType: 'esriGeometryEnvelope',
+                    inSR: '4326',
+                    spatialRel: 'esriSpatialRelIntersects',
+                    outFields: '*',
+                    returnGeometry: 'true',
+                    outSR: '4326',
+                    resultOffset: String(resultOffset),
+                    resultRecordCount: String(CONFIG.wayback.pageSize)
+                });
+
+                const response = await RequestScheduler.fetch(`${url}?${params}`, { signal });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+
+                // ESRI services report errors in a 200 response
+                const data = await response.json();
+                if (data.error) {
+                    throw new Error(data.error.message || `Error ${data.error.code}`);
+                }
+                results.push(...(data.features || []));
+
+                // The server may return fewer than asked for (its maxRecordCount), so page by what came back
+                if (!data.exceededTransferLimit || !data.features?.length) break;
+                resultOffset += data.features.length;
+            }
+
+            // The release was switched while this was loading: leave loadedIds to the new release
+            const features = [];
+            if (this.activeRelease !== release) {
+                return { type: 'FeatureCollection', features: features };
+            }
+
+            for (const f of results) {
+                const objectId = f.attributes?.OBJECTID;
+                if (!f.geometry?.rings || this.loadedIds.has(objectId)) continue;
+
+                this.loadedIds.add(objectId);
+                features.push(this._toFeature(f, release));
+            }
+
+            return { type: 'FeatureCollection', features: features };
+        } catch (error) {
+            if (RequestScheduler.isAbortError(error)) throw error;
+            console.error('Error fetching Wayback metadata:', error);
+            return { error: 'fetch', message: error.message };
+        }
+    },
+
+    // ---- Internal helpers ----
+
+    /**
+     * Convert a Wayback metadata feature to the same GeoJSON shape as ESRI tiles
+     */
+    _toFeature(f, release) {
+        const a = f.attributes || {};
+
+        // SRC_DATE2 is epoch milliseconds; normalise to midnight local time like parseEsriDate
+        let parsedDate = null;
+        if (a.SRC_DATE2) {
+            const d = new Date(a.SRC_DATE2);
+            parsedDate = new Date(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+        }
+        const formattedDate = ImagerySource.formatDate(parsedDate);
+
+        return {
+            type: 'Feature',
+            properties: {
+                OBJECTID: a.OBJECTID,
+                SRC_DATE: parsedDate ? Number(formattedDate.replace(/-/g, '')) : null,
+                SRC_RES: a.SAMP_RES ?? a.SRC_RES,
+                SRC_ACC: a.SRC_ACC,
+                NICE_NAME: a.NICE_DESC || a.NICE_NAME,
+                NICE_DESC: a.SRC_DESC || a.NICE_DESC,
+                waybackRelease: release.date,
+                ...ImagerySource.getAgeProperties(parsedDate),
+                source: 'ESRI World Imagery'
+            },
+            geometry: {
+                type: 'Polygon',
+                coordinates: f.geometry.rings
+            }
+        };
+    }
+};
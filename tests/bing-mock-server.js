@@ -0,0 +1,96 @@
+/**
+ * Mock Bing imagery metadata API for osm-carbon-date
+ * Replays the responses in fixtures/bing/: GET {base}/{lat},{lon}?zl=&key= answers with
+ * fixtures/bing/<quadkey>.json for the tile containing the point at zoom zl, no-vintage.json when
+ * there is no fixture for it, and invalid-key.json (HTTP 401) for any key but the server's.
+ *
+ * Run it to try the Bing source in the browser without a key:
+ *   node tests/bing-mock-server.js [port]
+ * then set CONFIG.bing.metadataUrl to the printed URL and CONFIG.bing.apiKey to 'test-key'
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'bing');
+const BASE_PATH = '/REST/v1/Imagery/Metadata/Aerial';
+
+/**
+ * Quadkey of the tile containing a point at a zoom level
+ */
+function quadkeyAt(lat, lon, zoom) {
+    const n = Math.pow(2, zoom);
+    const rad = lat * Math.PI / 180;
+    const x = Math.min(n - 1, Math.floor((lon + 180) / 360 * n));
+    const y = Math.min(n - 1, Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * n));
+
+    let quadkey = '';
+    for (let i = zoom; i > 0; i--) {
+        const mask = 1 << (i - 1);
+        quadkey += ((x & mask) ? 1 : 0) + ((y & mask) ? 2 : 0);
+    }
+    return quadkey;
+}
+
+function readFixture(name) {
+    const file = path.join(FIXTURES, `${name}.json`);
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+/**
+ * Start the server
+ * @param {Object} options - { port (0 = any free port), key }
+ * @returns {Promise<Object>} { url, requests: [{ lat, lon, zl, quadkey }], close() }
+ */
+function startMockServer({ port = 0, key = 'test-key' } = {}) {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const send = (status, body) => {
+            res.writeHead(status, {
+                'Content-Type': 'application/json; charset=utf-8',
+                'Access-Control-Allow-Origin': '*'
+            });
+            res.end(body);
+        };
+
+        const match = url.pathname.startsWith(`${BASE_PATH}/`) &&
+            /^(-?[\d.]+),(-?[\d.]+)$/.exec(decodeURIComponent(url.pathname.slice(BASE_PATH.length + 1)));
+        const zl = Number(url.searchParams.get('zl'));
+        if (!match || !(zl >= 1 && zl <= 21)) {
+            send(400, JSON.stringify({ statusCode: 400, statusDescription: 'Bad Request' }));
+            return;
+        }
+
+        const lat = Number(match[1]);
+        const lon = Number(match[2]);
+        const quadkey = quadkeyAt(lat, lon, zl);
+        requests.push({ lat, lon, zl, quadkey });
+
+        if (url.searchParams.get('key') !== key) {
+            send(401, readFixture('invalid-key'));
+            return;
+        }
+        send(200, readFixture(quadkey) || readFixture('no-vintage'));
+    });
+
+    return new Promise((resolve) => {
+        server.listen(port, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}${BASE_PATH}`,
+                requests,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = { startMockServer, quadkeyAt };
+
+if (require.main === module) {
+    startMockServer({ port: Number(process.argv[2]) || 8787 }).then(({ url }) => {
+        console.log(`Mock Bing metadata API at ${url} (key: test-key)`);
+    });
+}
@@ -0,0 +1,109 @@
+/**
+ * BingSource against the mock Bing metadata API (run with: node --test)
+ */
+
+const assert = require('node:assert/strict');
+const { after, before, beforeEach, test } = require('node:test');
+
+const { loadScripts } = require('./load-scripts');
+const { startMockServer } = require('./bing-mock-server');
+
+let server;
+let get;
+let BingSource;
+
+before(async () => {
+    server = await startMockServer();
+    get = loadScripts([
+        'js/config.js',
+        'js/geo-utils.js',
+        'js/request-scheduler.js',
+        'js/age-classes.js',
+        'js/imagery-sources.js',
+        'js/bing-source.js'
+    ], { console: { ...console, log() {} } });
+    BingSource = get('BingSource');
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    const CONFIG = get('CONFIG');
+    CONFIG.bing.metadataUrl = server.url;
+    CONFIG.bing.apiKey = 'test-key';
+    BingSource.clearCache();
+    server.requests.length = 0;
+});
+
+// Inside z10 tiles 3001101022 and 3001101023 (Nairobi), so a z12 view lays out those two
+const VIEW_Z12 = [36.8, -1.3, 37.0, -1.2];
+// Their z9 parent 300110102 and all four of its z10 quarters, seen from z11
+const VIEW_Z11 = [36.6, -1.35, 37.2, -0.8];
+
+const byQuadkey = (data) => Object.fromEntries(data.features.map(f => [f.properties.quadkey, f.properties]));
+
+test('quadkeys round-trip to tiles', () => {
+    assert.equal(BingSource.toQuadkey(616, 515, 10), '3001101022');
+    const tile = BingSource.fromQuadkey('3001101022');
+    assert.deepEqual({ x: tile.x, y: tile.y, z: tile.z }, { x: 616, y: 515, z: 10 });
+});
+
+test('each tile is queried at its own zoom and gets that tile\'s vintage', async () => {
+    const data = await BingSource.fetchMetadata(VIEW_Z12, 12);
+
+    assert.deepEqual(server.requests.map(r => r.quadkey).sort(), ['3001101022', '3001101023']);
+    assert.ok(server.requests.every(r => r.zl === 10));
+
+    const tiles = byQuadkey(data);
+    assert.equal(tiles['3001101022'].vintageStart, '2018-06-09');
+    assert.equal(tiles['3001101022'].vintageEnd, '2020-08-17');
+    assert.equal(tiles['3001101022'].SRC_DATE, 20200817);
+    assert.equal(tiles['3001101023'].vintageEnd, '2023-09-30');
+});
+
+test('zooming out fills in around loaded tiles instead of covering them', async () => {
+    await BingSource.fetchMetadata(VIEW_Z12, 12);
+    server.requests.length = 0;
+
+    const data = await BingSource.fetchMetadata(VIEW_Z11, 11);
+
+    // The z9 parent would overlap the loaded tiles with another date; its other quarters are loaded instead
+    assert.deepEqual(Object.keys(byQuadkey(data)).sort(), ['3001101020', '3001101021']);
+    assert.ok(server.requests.every(r => r.zl === 10));
+});
+
+test('tiles already drawn by a parent are not loaded again when zooming in', async () => {
+    await BingSource.fetchMetadata(VIEW_Z11, 11);
+    server.requests.length = 0;
+
+    const data = await BingSource.fetchMetadata(VIEW_Z12, 12);
+
+    assert.equal(data.features.length, 0);
+    assert.equal(server.requests.length, 0);
+});
+
+test('tiles without a vintage have an unknown date', async () => {
+    const data = await BingSource.fetchMetadata([-30.5, 10.2, -30.4, 10.3], 12);
+
+    assert.ok(data.features.length > 0);
+    for (const feature of data.features) {
+        assert.equal(feature.properties.SRC_DATE, null);
+        assert.equal(feature.properties.vintageEnd, null);
+    }
+});
+
+test('a rejected key loads no tiles', async () => {
+    get('CONFIG').bing.apiKey = 'wrong-key';
+    const data = await BingSource.fetchMetadata(VIEW_Z12, 12);
+
+    assert.equal(data.features.length, 0);
+    assert.equal(server.requests.length, 2);
+});
+
+test('a missing key is reported without requests', async () => {
+    get('CONFIG').bing.apiKey = '';
+    const data = await BingSource.fetchMetadata(VIEW_Z12, 12);
+
+    assert.equal(data.error, 'config');
+    assert.equal(server.requests.length, 0);
+});
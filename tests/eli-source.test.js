@@ -0,0 +1,46 @@
+/**
+ * EliSource (run with: node --test)
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { loadScripts } = require('./load-scripts');
+
+const EliSource = loadScripts(['js/config.js', 'js/text-utils.js', 'js/geo-utils.js', 'js/eli-source.js'])('EliSource');
+
+const layer = (properties) => ({
+    type: 'Feature',
+    geometry: null,
+    properties: { id: 'test', name: 'Test imagery', type: 'tms', url: 'https://tiles.example.test/{zoom}/{x}/{y}.jpg', ...properties }
+});
+
+test('only http(s) licence links are kept', () => {
+    EliSource._layers = [
+        layer({ id: 'a', license_url: 'javascript:alert(1)' }),
+        layer({ id: 'b', license_url: 'https://example.test/licence' }),
+        layer({ id: 'c', license_url: 'not a url' })
+    ];
+    const links = Object.fromEntries(EliSource.layersAt(0, 0).map(l => [l.id, l.licenseUrl]));
+
+    assert.deepEqual(links, { a: null, b: 'https://example.test/licence', c: null });
+});
+
+test('basemaps carry the layer\'s max zoom and an escaped attribution', () => {
+    const basemap = EliSource.toBasemap(layer({
+        max_zoom: 17,
+        attribution: { text: '<img src=x onerror=alert(1)>', url: 'https://example.test/"' }
+    }));
+
+    assert.equal(basemap.maxzoom, 17);
+    assert.equal(basemap.tiles[0], 'https://tiles.example.test/{z}/{x}/{y}.jpg');
+    assert.equal(
+        basemap.attribution,
+        '<a href="https://example.test/%22" target="_blank" rel="noopener">&lt;img src=x onerror=alert(1)&gt;</a>'
+    );
+});
+
+test('attribution links with other schemes are dropped', () => {
+    const basemap = EliSource.toBasemap(layer({ attribution: { text: 'Example', url: 'javascript:alert(1)' } }));
+    assert.equal(basemap.attribution, 'Example');
+});
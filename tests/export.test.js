@@ -0,0 +1,80 @@
+/**
+ * ImageryExport (run with: node --test)
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { loadScripts } = require('./load-scripts');
+
+const ImageryExport = loadScripts(
+    ['js/config.js', 'js/text-utils.js', 'js/geo-utils.js', 'js/age-classes.js', 'js/imagery-sources.js', 'js/export.js'],
+    { Blob, TextEncoder }
+)('ImageryExport');
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+// ESRI tile with two outer rings (clockwise) in one Polygon, the first holding a hole (counter-clockwise)
+const square = (x, y, size) => [[x, y], [x, y + size], [x + size, y + size], [x + size, y], [x, y]];
+const hole = [[0.25, 0.25], [0.75, 0.25], [0.75, 0.75], [0.25, 0.75], [0.25, 0.25]];
+const tile = {
+    type: 'Feature',
+    properties: { OBJECTID: 7, source: 'ESRI World Imagery', SRC_RES: 0.3 },
+    geometry: { type: 'Polygon', coordinates: [square(0, 0, 1), hole, square(2, 0, 1)] }
+};
+
+test('CRC-32 matches the standard check value', () => {
+    assert.equal(ImageryExport._crc32(bytes('123456789')), 0xcbf43926);
+});
+
+test('zip() stores each file with a central directory entry', async () => {
+    const files = [
+        { name: 'oam-timeline-001-2020.png', data: bytes('first frame') },
+        { name: 'oam-timeline-002-2021.png', data: bytes('second frame') }
+    ];
+    const zip = ImageryExport.zip(files);
+    const view = new DataView(await zip.arrayBuffer());
+    assert.equal(zip.type, 'application/zip');
+
+    // End of central directory: entry count and where the directory starts
+    const end = view.byteLength - 22;
+    assert.equal(view.getUint32(end, true), 0x06054b50);
+    assert.equal(view.getUint16(end + 10, true), 2);
+
+    let entry = view.getUint32(end + 16, true);
+    for (const file of files) {
+        assert.equal(view.getUint32(entry, true), 0x02014b50);
+        assert.equal(view.getUint32(entry + 16, true), ImageryExport._crc32(file.data));
+
+        // The local header it points at is followed by the name and the stored bytes
+        const local = view.getUint32(entry + 42, true);
+        const nameLength = view.getUint16(local + 26, true);
+        const start = local + 30 + nameLength;
+        const name = new TextDecoder().decode(new Uint8Array(view.buffer, local + 30, nameLength));
+        const data = new TextDecoder().decode(new Uint8Array(view.buffer, start, file.data.length));
+        assert.equal(name, file.name);
+        assert.equal(data, new TextDecoder().decode(file.data));
+
+        entry += 46 + view.getUint16(entry + 28, true);
+    }
+});
+
+test('extra outer rings are exported as separate polygons, not holes', () => {
+    const geometry = JSON.parse(ImageryExport.toGeoJson([tile])).features[0].geometry;
+    assert.equal(geometry.type, 'MultiPolygon');
+    assert.deepEqual(geometry.coordinates, [[square(0, 0, 1), hole], [square(2, 0, 1)]]);
+
+    assert.equal(ImageryExport.toWkt(tile.geometry),
+        'MULTIPOLYGON (((0 0, 0 1, 1 1, 1 0, 0 0), (0.25 0.25, 0.75 0.25, 0.75 0.75, 0.25 0.75, 0.25 0.25)), ' +
+        '((2 0, 2 1, 3 1, 3 0, 2 0)))');
+
+    const kml = ImageryExport.toKml([tile]);
+    assert.equal(kml.match(/<Polygon>/g).length, 2);
+    assert.equal(kml.match(/<innerBoundaryIs>/g).length, 1);
+    assert.match(kml, /<MultiGeometry>/);
+});
+
+test('a single-ring polygon stays a Polygon', () => {
+    const geometry = { type: 'Polygon', coordinates: [square(0, 0, 1)] };
+    assert.equal(ImageryExport.toWkt(geometry), 'POLYGON ((0 0, 0 1, 1 1, 1 0, 0 0))');
+});
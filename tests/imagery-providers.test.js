@@ -0,0 +1,47 @@
+/**
+ * ImageryProviders info formatting (run with: node --test)
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { loadScripts } = require('./load-scripts');
+
+const get = loadScripts([
+    'js/config.js',
+    'js/text-utils.js',
+    'js/geo-utils.js',
+    'js/persistent-cache.js',
+    'js/request-scheduler.js',
+    'js/age-classes.js',
+    'js/imagery-sources.js',
+    'js/wayback-source.js',
+    'js/bing-source.js',
+    'js/oam-source.js',
+    'js/stac-source.js',
+    'js/imagery-providers.js'
+]);
+const ImageryProviders = get('ImageryProviders');
+
+test('catalog values in the OAM info panel are escaped', () => {
+    const html = ImageryProviders.getRegistered('oam').formatInfo({
+        properties: {
+            formattedDate: '2021-03-04',
+            provider: '<b>Drone team</b>',
+            title: '<img src=x onerror=alert(1)>',
+            thumbnail: 'https://example.test/thumb.png" onload="alert(1)'
+        }
+    });
+
+    assert.doesNotMatch(html, /<img src=x/);
+    assert.doesNotMatch(html, /<b>/);
+    assert.match(html, /&lt;b&gt;Drone team&lt;\/b&gt;/);
+    assert.match(html, /src="https:\/\/example\.test\/thumb\.png&quot; onload=&quot;alert\(1\)"/);
+});
+
+test('tile popup values are escaped', () => {
+    const html = ImageryProviders.getRegistered('esri').formatInfo({
+        properties: { formattedDate: '2020-05-01', NICE_NAME: 'Vivid & <Metro>' }
+    });
+    assert.match(html, /Vivid &amp; &lt;Metro&gt;/);
+});
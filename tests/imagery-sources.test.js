@@ -0,0 +1,85 @@
+/**
+ * ImagerySource ESRI metadata queries (run with: node --test)
+ */
+
+const assert = require('node:assert/strict');
+const { beforeEach, test } = require('node:test');
+
+const { loadScripts } = require('./load-scripts');
+
+// fetch stub: query requests are answered by answerQuery, identify requests return one tile
+let requests;
+let answerQuery;
+const json = (body) => ({ ok: true, status: 200, headers: new Headers(), json: async () => body });
+const fetchStub = async (url) => {
+    const params = new URL(url).searchParams;
+    requests.push(params);
+    if (url.includes('/identify')) {
+        return json({
+            results: [{
+                attributes: { OBJECTID: 99, SRC_DATE: 20210301 },
+                geometry: { rings: [[[-180, -85], [180, -85], [180, 85], [-180, 85], [-180, -85]]] }
+            }]
+        });
+    }
+    return json(answerQuery(params));
+};
+
+const get = loadScripts([
+    'js/config.js',
+    'js/geo-utils.js',
+    'js/persistent-cache.js',
+    'js/request-scheduler.js',
+    'js/age-classes.js',
+    'js/imagery-sources.js'
+], { fetch: fetchStub, console: { ...console, log() {}, warn() {} } });
+const ImagerySource = get('ImagerySource');
+const PersistentCache = get('PersistentCache');
+
+// In-memory stand-in for the IndexedDB stores
+let stores;
+PersistentCache.getEntries = async (store, keys) => keys.map(key => stores[store]?.get(key) || null);
+PersistentCache.putMany = async (store, entries) => {
+    stores[store] = stores[store] || new Map();
+    for (const [key, value] of entries) stores[store].set(key, { value, savedAt: Date.now(), meta: {} });
+};
+
+const BOUNDS = [10, 10, 10.02, 10.02];
+const tile = (id) => ({
+    attributes: { OBJECTID: id, SRC_DATE: 20200101, SRC_RES: 0.5 },
+    geometry: { rings: [[[10, 10], [10.02, 10], [10.02, 10.02], [10, 10]]] }
+});
+
+beforeEach(() => {
+    requests = [];
+    stores = {};
+    ImagerySource.clearCache();
+});
+
+test('an error body falls back to identify and caches no cells', async () => {
+    answerQuery = () => ({ error: { code: 500, message: 'Unable to complete operation.' } });
+
+    const data = await ImagerySource.fetchEsriMetadata(BOUNDS, 14);
+
+    assert.deepEqual([...data.features.map(f => f.properties.OBJECTID)], [99]);
+    assert.equal(stores.esriCells, undefined);
+});
+
+test('tiles are fetched in batches of object IDs, paging while the server has more', async () => {
+    const ids = Array.from({ length: 250 }, (_, i) => i + 1);
+    answerQuery = (params) => {
+        if (params.get('returnIdsOnly')) return { objectIds: ids };
+        // The server returns at most 60 features per response
+        const batch = params.get('objectIds').split(',').map(Number);
+        const offset = Number(params.get('resultOffset'));
+        const page = batch.slice(offset, offset + 60);
+        return { features: page.map(tile), exceededTransferLimit: offset + 60 < batch.length };
+    };
+
+    const data = await ImagerySource.fetchEsriMetadata(BOUNDS, 14);
+
+    assert.equal(new Set(data.features.map(f => f.properties.OBJECTID)).size, 250);
+    assert.ok(requests.length < 10, `${requests.length} requests`);
+    assert.ok(requests.slice(1).every(p => Number(p.get('maxAllowableOffset')) > 0));
+    assert.ok(stores.esriCells.size > 0);
+});
@@ -0,0 +1,54 @@
+/**
+ * ImageryThemes (run with: node --test)
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { loadScripts } = require('./load-scripts');
+
+const get = loadScripts(['js/config.js', 'js/imagery-themes.js']);
+const ImageryThemes = get('ImageryThemes');
+
+// Evaluates the few expression operators _valueExpression uses, as MapLibre would
+function evaluate(expression, properties) {
+    if (!Array.isArray(expression)) return expression;
+    const [op, ...args] = expression;
+    switch (op) {
+        case 'get': {
+            const value = properties[args[0]];
+            return value === undefined ? null : value;
+        }
+        case 'to-number': {
+            const value = evaluate(args[0], properties);
+            const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+            return value === null || Number.isNaN(number) ? evaluate(args[1], properties) : number;
+        }
+        case '>':
+            return evaluate(args[0], properties) > evaluate(args[1], properties);
+        case 'case':
+            for (let i = 0; i < args.length - 1; i += 2) {
+                if (evaluate(args[i], properties)) return evaluate(args[i + 1], properties);
+            }
+            return evaluate(args[args.length - 1], properties);
+        default:
+            throw new Error(`Unexpected operator ${op}`);
+    }
+}
+
+test('the map expression picks the same value as getValue', () => {
+    const expression = ImageryThemes._valueExpression('resolution');
+    const cases = [
+        { SRC_RES: 0.3, gsd: 0.5 },
+        { SRC_RES: 0, gsd: 0.5 },
+        { SRC_RES: '', gsd: '0.5' },
+        { SRC_RES: null, gsd: 1.2 },
+        { gsd: 0 },
+        { SRC_RES: 'n/a' },
+        {}
+    ];
+    for (const properties of cases) {
+        assert.equal(evaluate(expression, properties), ImageryThemes.getValue(properties, 'resolution') ?? -1,
+            JSON.stringify(properties));
+    }
+});
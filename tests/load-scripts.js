@@ -0,0 +1,37 @@
+/**
+ * Load the app's browser scripts into a sandbox for tests
+ * The scripts declare globals (const X = {...}) and expect to be loaded in order by index.html;
+ * here they share one VM context, with Node's fetch and friends standing in for the browser's
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * @param {Array} files - Paths relative to the repo root, in index.html order
+ * @param {Object} globals - Extra or replacement globals (e.g. a fetch stub)
+ * @returns {Function} get(name): a global declared by the scripts, e.g. get('CONFIG')
+ */
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({
+        console,
+        fetch,
+        URL,
+        URLSearchParams,
+        AbortController,
+        DOMException,
+        setTimeout,
+        clearTimeout,
+        ...globals
+    });
+
+    for (const file of files) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    }
+    return (name) => vm.runInContext(name, context);
+}
+
+module.exports = { loadScripts };
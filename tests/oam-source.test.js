@@ -0,0 +1,80 @@
+/**
+ * OamSource catalog revalidation (run with: node --test)
+ */
+
+const assert = require('node:assert/strict');
+const { beforeEach, test } = require('node:test');
+
+const { loadScripts } = require('./load-scripts');
+
+const URL_ = 'https://oam.example.test/all_images.geojson';
+const CATALOG = { type: 'FeatureCollection', features: [] };
+const UPDATED = { type: 'FeatureCollection', features: [{ type: 'Feature', properties: {}, geometry: null }] };
+
+// fetch stub: calls are recorded; respond(options) decides the outcome of each
+let calls;
+let respond;
+const fetchStub = async (url, options = {}) => {
+    calls.push({ ...options.headers });
+    return respond(options);
+};
+const response = (status, body, headers = {}) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: new Headers(headers),
+    json: async () => body
+});
+
+const get = loadScripts([
+    'js/config.js',
+    'js/geo-utils.js',
+    'js/persistent-cache.js',
+    'js/age-classes.js',
+    'js/imagery-sources.js',
+    'js/oam-source.js'
+], { fetch: fetchStub, console: { ...console, log() {}, warn() {} } });
+const OamSource = get('OamSource');
+const PersistentCache = get('PersistentCache');
+
+// In-memory stand-in for the IndexedDB store, with the cached copy always expired
+let stored;
+PersistentCache.getEntry = async () => stored;
+PersistentCache.isFresh = () => false;
+PersistentCache.put = async (store, key, value, meta) => { stored = { value, savedAt: Date.now(), meta }; };
+
+beforeEach(() => {
+    calls = [];
+    stored = { value: CATALOG, savedAt: 0, meta: { lastModified: 'Tue, 01 Oct 2024 00:00:00 GMT' } };
+});
+
+test('an expired copy is revalidated with If-Modified-Since and kept on 304', async () => {
+    respond = () => response(304);
+
+    assert.equal(await OamSource._fetchCatalog(URL_), CATALOG);
+    assert.deepEqual(calls, [{ 'If-Modified-Since': 'Tue, 01 Oct 2024 00:00:00 GMT' }]);
+    assert.ok(stored.savedAt > 0);
+});
+
+test('a refused conditional request is retried plainly, and not attempted again', async () => {
+    // A rejected CORS preflight surfaces as a network error
+    respond = (options) => {
+        if (options.headers) throw new TypeError('Failed to fetch');
+        return response(200, UPDATED, { 'Last-Modified': 'Wed, 02 Oct 2024 00:00:00 GMT' });
+    };
+
+    assert.equal(await OamSource._fetchCatalog(URL_), UPDATED);
+    assert.equal(calls.length, 2);
+    assert.ok(stored.savedAt > 0);
+    assert.equal(stored.meta.noRevalidation, true);
+
+    calls = [];
+    await OamSource._fetchCatalog(URL_);
+    assert.deepEqual(calls, [{}]);
+});
+
+test('the cached copy is used when the catalog is unreachable', async () => {
+    respond = () => { throw new TypeError('Failed to fetch'); };
+
+    assert.equal(await OamSource._fetchCatalog(URL_), CATALOG);
+    assert.equal(calls.length, 2);
+});
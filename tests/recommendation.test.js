@@ -0,0 +1,54 @@
+/**
+ * ImageryRecommendation candidates (run with: node --test)
+ */
+
+const assert = require('node:assert/strict');
+const { afterEach, test } = require('node:test');
+
+const { loadScripts } = require('./load-scripts');
+
+const get = loadScripts([
+    'js/config.js',
+    'js/geo-utils.js',
+    'js/persistent-cache.js',
+    'js/request-scheduler.js',
+    'js/age-classes.js',
+    'js/imagery-sources.js',
+    'js/wayback-source.js',
+    'js/oam-source.js',
+    'js/recommendation.js'
+]);
+const CONFIG = get('CONFIG');
+const WaybackSource = get('WaybackSource');
+const ImageryRecommendation = get('ImageryRecommendation');
+
+const aoi = { type: 'Polygon', coordinates: [[[0, 0], [0.01, 0], [0.01, 0.01], [0, 0.01], [0, 0]]] };
+const esriTile = {
+    type: 'Feature',
+    properties: { OBJECTID: 1, source: 'ESRI World Imagery', parsedDate: new Date(2020, 4, 1) },
+    geometry: { type: 'Polygon', coordinates: [[[-1, -1], [1, -1], [1, 1], [-1, 1], [-1, -1]]] }
+};
+const esriCandidate = () => ImageryRecommendation.buildCandidates(aoi, [esriTile])
+    .find(c => c.metadataSource === 'ESRI World Imagery');
+
+afterEach(() => {
+    WaybackSource.activeRelease = null;
+});
+
+test('live ESRI tiles recommend the live World Imagery URL', () => {
+    assert.equal(esriCandidate().tileUrl, CONFIG.basemaps['esri-imagery'].tiles[0]);
+});
+
+test('tiles of a Wayback release recommend that release\'s tile URL', () => {
+    WaybackSource.activeRelease = {
+        releaseNum: 7,
+        date: '2020-01-08',
+        tileUrl: 'https://example.test/7/{z}/{y}/{x}'
+    };
+
+    const candidate = esriCandidate();
+    assert.equal(candidate.tileUrl, 'https://example.test/7/{z}/{y}/{x}');
+    assert.equal(candidate.name, 'ESRI World Imagery (Wayback 2020-01-08)');
+    assert.equal(ImageryRecommendation.toTmImagery(candidate.tileUrl, candidate.maxZoom),
+        'tms[19]:https://example.test/7/{zoom}/{y}/{x}');
+});
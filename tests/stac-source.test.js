@@ -0,0 +1,69 @@
+/**
+ * StacSource (run with: node --test)
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { loadScripts } = require('./load-scripts');
+
+// Search stub: every request answers with one page holding item 'fetched'
+const requests = [];
+const fetchStub = async (url, options) => {
+    requests.push({ url, options });
+    return { ok: true, status: 200, json: async () => ({ features: [item('fetched', 5)], links: [] }) };
+};
+
+const get = loadScripts([
+    'js/config.js',
+    'js/geo-utils.js',
+    'js/request-scheduler.js',
+    'js/age-classes.js',
+    'js/imagery-sources.js',
+    'js/stac-source.js'
+], { fetch: (...args) => fetchStub(...args) });
+const StacSource = get('StacSource');
+
+const item = (id, lon) => ({
+    type: 'Feature',
+    id,
+    collection: 'sentinel-2-l2a',
+    bbox: [lon, 0, lon + 0.1, 0.1],
+    geometry: null,
+    properties: { datetime: '2024-05-01T10:00:00Z' },
+    assets: { thumbnail: { href: 'http://example.test/thumb.jpg' } },
+    links: []
+});
+
+test('items are enriched with shared date and URL helpers', () => {
+    const feature = StacSource._enrich(item('a', 0));
+
+    assert.equal(feature.properties.formattedDate, '2024-05-01');
+    assert.equal(feature.properties.thumbnail, 'https://example.test/thumb.jpg');
+});
+
+test('the oldest items outside the view are forgotten beyond maxCachedItems', () => {
+    get('CONFIG').stac.maxCachedItems = 3;
+    for (const [id, lon] of [['old-in-view', 0], ['old-1', 10], ['old-2', 20], ['new-1', 30], ['new-2', 40]]) {
+        const feature = StacSource._enrich(item(id, lon));
+        StacSource._features.set(feature.properties._stacId, feature);
+        StacSource._centroids.set(feature.properties._stacId, StacSource._toCentroid(feature));
+    }
+
+    StacSource._prune([-1, -1, 1, 1]);
+
+    const kept = [...StacSource._features.values()].map(f => f.properties.itemId);
+    assert.deepEqual(kept, ['old-in-view', 'new-1', 'new-2']);
+    assert.equal(StacSource._centroids.size, 3);
+});
+
+test('the search runs under the caller\'s signal and rejects as an AbortError once it fires', async () => {
+    const controller = new AbortController();
+    const found = await StacSource.search([0, 0, 10, 10], controller.signal);
+    assert.deepEqual([...found.map(f => f.properties.itemId)], ['fetched']);
+    assert.equal(requests.at(-1).options.signal, controller.signal);
+
+    controller.abort();
+    await assert.rejects(StacSource.search([0, 0, 10, 10], controller.signal),
+        (error) => get('RequestScheduler').isAbortError(error));
+});
@@ -0,0 +1,23 @@
+/**
+ * TextUtils (run with: node --test)
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { loadScripts } = require('./load-scripts');
+
+const TextUtils = loadScripts(['js/text-utils.js'])('TextUtils');
+
+test('markup and quotes are escaped', () => {
+    assert.equal(
+        TextUtils.escapeHtml(`</textarea><img src=x onerror="alert('x')">&`),
+        '&lt;/textarea&gt;&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt;&amp;'
+    );
+});
+
+test('missing values become empty strings', () => {
+    assert.equal(TextUtils.escapeHtml(null), '');
+    assert.equal(TextUtils.escapeHtml(undefined), '');
+    assert.equal(TextUtils.escapeHtml(0), '0');
+});
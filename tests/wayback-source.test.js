@@ -0,0 +1,102 @@
+/**
+ * WaybackSource release switching (run with: node --test)
+ */
+
+const assert = require('node:assert/strict');
+const { beforeEach, test } = require('node:test');
+
+const { loadScripts } = require('./load-scripts');
+
+// Metadata query stub: answers with respond(url) (by default tile 1), after a delay the test controls
+const tile = (objectId) => ({
+    attributes: { OBJECTID: objectId, SRC_DATE2: Date.UTC(2020, 4, 1) },
+    geometry: { rings: [[[0, 0], [1, 0], [1, 1], [0, 0]]] }
+});
+const defaultRespond = () => ({ features: [tile(1)] });
+let respond = defaultRespond;
+let pending = [];
+const fetchStub = (url) => new Promise((resolve) => {
+    pending.push(() => resolve({
+        ok: true,
+        status: 200,
+        json: async () => respond(url)
+    }));
+});
+
+const get = loadScripts([
+    'js/config.js',
+    'js/geo-utils.js',
+    'js/request-scheduler.js',
+    'js/age-classes.js',
+    'js/imagery-sources.js',
+    'js/wayback-source.js'
+], { fetch: fetchStub });
+const WaybackSource = get('WaybackSource');
+
+const release = (releaseNum, date) => ({
+    releaseNum,
+    date,
+    title: `World Imagery (Wayback ${date})`,
+    tileUrl: `https://example.test/${releaseNum}/{z}/{y}/{x}`,
+    metadataUrl: `https://example.test/${releaseNum}/MapServer`
+});
+
+beforeEach(() => {
+    pending = [];
+    respond = defaultRespond;
+    WaybackSource._releases = [release(1, '2020-01-08'), release(2, '2021-06-30')];
+    WaybackSource.setActiveRelease(1);
+});
+
+const settle = async () => {
+    while (pending.length === 0) await new Promise(resolve => setTimeout(resolve, 1));
+    pending.shift()();
+};
+
+test('a fetch finishing after a release switch does not hide the new release\'s tiles', async () => {
+    const stale = WaybackSource.fetchMetadata([0, 0, 1, 1], 14);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    WaybackSource.setActiveRelease(2);
+    await settle();
+    assert.equal((await stale).features.length, 0);
+
+    const current = WaybackSource.fetchMetadata([0, 0, 1, 1], 14);
+    await settle();
+    const data = await current;
+    assert.equal(data.features.length, 1);
+    assert.equal(data.features[0].properties.waybackRelease, '2021-06-30');
+});
+
+test('tiles already loaded for the active release are skipped', async () => {
+    const first = WaybackSource.fetchMetadata([0, 0, 1, 1], 14);
+    await settle();
+    assert.equal((await first).features.length, 1);
+
+    const second = WaybackSource.fetchMetadata([0, 0, 1, 1], 14);
+    await settle();
+    assert.equal((await second).features.length, 0);
+});
+
+test('pages through results while the server reports more', async () => {
+    // Server capped at 2 records per response
+    respond = (url) => {
+        const offset = Number(new URL(url).searchParams.get('resultOffset'));
+        const ids = [1, 2, 3, 4, 5].slice(offset, offset + 2);
+        return { features: ids.map(tile), exceededTransferLimit: offset + 2 < 5 };
+    };
+
+    const request = WaybackSource.fetchMetadata([0, 0, 1, 1], 14);
+    for (let page = 0; page < 3; page++) await settle();
+    const data = await request;
+    assert.deepEqual([...data.features.map(f => f.properties.OBJECTID)], [1, 2, 3, 4, 5]);
+});
+
+test('an error body returned with HTTP 200 is reported, not read as an empty result', async () => {
+    respond = () => ({ error: { code: 400, message: 'Invalid query' } });
+
+    const request = WaybackSource.fetchMetadata([0, 0, 1, 1], 14);
+    await settle();
+    const data = await request;
+    assert.equal(data.error, 'fetch');
+    assert.equal(data.message, 'Invalid query');
+});